@@ -0,0 +1,413 @@
+/**
+ * Alert Formatting
+ *
+ * Renders events for the alert channels (see alert_send.js): Slack Block Kit messages, Discord embeds,
+ * Feishu/Lark, DingTalk and WeCom bot cards, HTML email and the short Telegram / generic webhook texts. All show the chain, event type, severity, depth and heights
+ * as fields, link block hashes to the chain's block explorer (`explorerUrl`, from the viem chain's
+ * `blockExplorers` in chains.js) and collapse `tx_diff` into counts plus the first few transactions,
+ * so large reorgs stay readable on mobile.
+ */
+
+const SEVERITY_EMOJI = { CRITICAL: '🔴', HIGH: '🟠', WARNING: '🟡', INFO: '🔵' };
+const SEVERITY_COLOR = { CRITICAL: 0xd93025, HIGH: 0xf57c00, WARNING: 0xfbc02d, INFO: 0x1e88e5 };
+const LISTED_TXS = 3; // Transactions listed per side of a tx diff; the rest are counted
+const EMAIL_LISTED_TXS = 25; // Emails have room for more; the full diff is in the attached JSON
+const TELEGRAM_MAX_LENGTH = 4096;
+const WEBHOOK_MAX_LENGTH = 2000; // Discord `content`; Slack `text` allows more
+const DETAIL_FIELDS = 10; // Other top-level fields listed in the short texts
+const DETAIL_LENGTH = 200;
+
+// Fields alertFacts / txDiffSummary already present
+const SUMMARIZED_FIELDS = new Set([
+  'severity', 'depth', 'height', 'at_height', 'from_height', 'to_height', 'fork_point', 'finalized_height',
+  'old_hash', 'new_hash', 'old_tip', 'new_tip', 'expected_parent', 'actual_parent', 'duration_ms',
+  'event_counts', 'incident_id', 'tx_diff', 'old_branch', 'new_branch',
+]);
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function shortHash(hash) {
+  return typeof hash === 'string' && hash.length > 14 ? `${hash.slice(0, 8)}…${hash.slice(-6)}` : String(hash);
+}
+
+// One-line description for titles and notifications, e.g. "REORG on monad: depth 3 at height 1200"
+function alertSummary(chain, type, data) {
+  const parts = [];
+  if (data.depth !== undefined) parts.push(`depth ${data.depth}`);
+  if (data.fork_point?.height !== undefined) parts.push(`at height ${data.fork_point.height}`);
+  else if (data.height !== undefined) parts.push(`at height ${data.height}`);
+  if (data.from_height !== undefined && data.to_height !== undefined) parts.push(`${data.from_height} -> ${data.to_height}`);
+  const where = chain ? ` on ${chain}` : '';
+  return `${type}${where}${parts.length > 0 ? `: ${parts.join(' ')}` : ''}`;
+}
+
+/**
+ * The fields shown for an event, in display order: `{ label, text }` or `{ label, text, url }` for linked values.
+ */
+function alertFacts(type, data, { chainName = null, explorerUrl = null } = {}) {
+  const blockUrl = id => (explorerUrl ? `${explorerUrl.replace(/\/$/, '')}/block/${id}` : null);
+  const hashFact = (label, hash) => ({ label, text: shortHash(hash), url: blockUrl(hash) });
+  const facts = [];
+
+  if (chainName) facts.push({ label: 'Chain', text: chainName });
+  facts.push({ label: 'Event', text: type });
+  if (data.severity) facts.push({ label: 'Severity', text: `${SEVERITY_EMOJI[data.severity] ?? ''} ${data.severity}`.trim() });
+  if (data.depth !== undefined) facts.push({ label: 'Depth', text: String(data.depth) });
+
+  const height = data.height ?? data.at_height;
+  if (height !== undefined) facts.push({ label: 'Height', text: String(height), url: blockUrl(height) });
+  if (data.from_height !== undefined && data.to_height !== undefined) {
+    facts.push({ label: 'Heights', text: `${data.from_height} → ${data.to_height}` });
+  }
+  if (data.fork_point) facts.push({ label: 'Fork point', text: String(data.fork_point.height), url: blockUrl(data.fork_point.hash) });
+  if (data.finalized_height !== undefined && data.finalized_height !== null) {
+    facts.push({ label: 'Finalized height', text: String(data.finalized_height) });
+  }
+
+  const oldHash = data.old_hash ?? data.old_tip?.hash ?? data.expected_parent;
+  const newHash = data.new_hash ?? data.new_tip?.hash ?? data.actual_parent;
+  if (oldHash) facts.push(hashFact('Old hash', oldHash));
+  if (newHash) facts.push(hashFact('New hash', newHash));
+
+  if (data.duration_ms !== undefined) facts.push({ label: 'Duration', text: `${Math.round(data.duration_ms / 1000)}s` });
+  if (data.event_counts) {
+    facts.push({ label: 'Events', text: Object.entries(data.event_counts).map(([t, n]) => `${t} ×${n}`).join(', ') });
+  }
+  if (data.incident_id) facts.push({ label: 'Incident', text: data.incident_id });
+  return facts;
+}
+
+/**
+ * The event's remaining top-level fields as `{ label, text }`, objects as compact JSON, for channels without
+ * room for a full field layout. Capped at DETAIL_FIELDS fields of DETAIL_LENGTH characters.
+ */
+function alertDetails(data) {
+  return Object.entries(data)
+    .filter(([key, value]) => !SUMMARIZED_FIELDS.has(key) && value !== null && value !== undefined)
+    .slice(0, DETAIL_FIELDS)
+    .map(([key, value]) => ({
+      label: key,
+      text: truncate(typeof value === 'object'
+        ? JSON.stringify(value, (k, item) => (typeof item === 'bigint' ? item.toString() : item))
+        : String(value), DETAIL_LENGTH),
+    }));
+}
+
+/**
+ * `tx_diff` as counts plus the first LISTED_TXS hashes per side, or null when the event has none.
+ * `link(text, url)` renders a link in the target's markup.
+ */
+function txDiffSummary(txDiff, { explorerUrl = null, link }) {
+  if (!txDiff) return null;
+  const txLink = hash => (explorerUrl ? link(shortHash(hash), `${explorerUrl.replace(/\/$/, '')}/tx/${hash}`) : shortHash(hash));
+  const side = (label, hashes) => {
+    if (hashes.length === 0) return `${label}: 0`;
+    const listed = hashes.slice(0, LISTED_TXS).map(txLink).join(', ');
+    const more = hashes.length > LISTED_TXS ? ` and ${hashes.length - LISTED_TXS} more` : '';
+    return `${label}: ${hashes.length} (${listed}${more})`;
+  };
+  return [side('Dropped', txDiff.dropped ?? []), side('Added', txDiff.added ?? [])].join('\n');
+}
+
+function alertTitle(type, data, { chain, chainName }) {
+  return `${SEVERITY_EMOJI[data.severity] ?? '🚨'} ${type} · ${chainName ?? chain ?? 'unknown chain'}`;
+}
+
+function slackText(fact) {
+  return fact.url ? `<${fact.url}|${fact.text}>` : fact.text;
+}
+
+function markdownText(fact) {
+  return fact.url ? `[${fact.text}](${fact.url})` : fact.text;
+}
+
+function markdownLink(text, url) {
+  return `[${text}](${url})`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function htmlLink(text, url) {
+  return url ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+// Joins lines until `max` would be exceeded, so markup is never cut in half
+function joinWithin(lines, max) {
+  const kept = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > max) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+  return kept.join('\n');
+}
+
+/**
+ * Telegram message text for `parse_mode: 'HTML'`: title, facts, tx diff and the other fields, escaped and
+ * kept under Telegram's 4096-character limit.
+ */
+function formatTelegram(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const lines = [
+    `<b>${escapeHtml(alertTitle(type, data, { chain, chainName }))}</b>`,
+    ...alertFacts(type, data, { chainName, explorerUrl }).map(fact => `<b>${escapeHtml(fact.label)}</b>: ${htmlLink(fact.text, fact.url)}`),
+  ];
+  const diff = txDiffSummary(data.tx_diff, { explorerUrl, link: htmlLink });
+  if (diff) lines.push('', '<b>Transactions</b>', ...diff.split('\n'));
+  const details = alertDetails(data);
+  if (details.length > 0) lines.push('', ...details.map(detail => `${escapeHtml(detail.label)}: <code>${escapeHtml(detail.text)}</code>`));
+  return joinWithin(lines, TELEGRAM_MAX_LENGTH);
+}
+
+/**
+ * Plain text for webhooks of unknown flavour (Slack `text` / Discord `content`). Links are written as `<url>`,
+ * which both render as a link; kept under Discord's 2000-character limit.
+ */
+function formatWebhookText(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const lines = [
+    `${SEVERITY_EMOJI[data.severity] ?? '🚨'} **${type}** · ${chainName ?? chain ?? 'unknown chain'}`,
+    ...alertFacts(type, data, { chainName, explorerUrl })
+      .filter(fact => fact.label !== 'Event')
+      .map(fact => `${fact.label}: ${fact.label === 'Severity' ? data.severity : fact.text}${fact.url ? ` <${fact.url}>` : ''}`),
+  ];
+  const diff = txDiffSummary(data.tx_diff, { explorerUrl, link: (text, url) => `${text} <${url}>` });
+  if (diff) lines.push('', 'Transactions:', ...diff.split('\n'));
+  const details = alertDetails(data);
+  if (details.length > 0) lines.push('', ...details.map(detail => `${detail.label}: ${detail.text}`));
+  return joinWithin(lines.map(line => truncate(line, WEBHOOK_MAX_LENGTH)), WEBHOOK_MAX_LENGTH);
+}
+
+/**
+ * Slack incoming-webhook payload: header, field sections (max 10 fields each), tx diff and context.
+ */
+function formatSlack(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const facts = alertFacts(type, data, { chainName, explorerUrl });
+  const blocks = [{
+    type: 'header',
+    text: { type: 'plain_text', text: truncate(alertTitle(type, data, { chain, chainName }), 150) },
+  }];
+  for (let i = 0; i < facts.length; i += 10) {
+    blocks.push({
+      type: 'section',
+      fields: facts.slice(i, i + 10).map(fact => ({ type: 'mrkdwn', text: truncate(`*${fact.label}*\n${slackText(fact)}`, 2000) })),
+    });
+  }
+  const diff = txDiffSummary(data.tx_diff, { explorerUrl, link: (text, url) => `<${url}|${text}>` });
+  if (diff) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*Transactions*\n${diff}`, 3000) } });
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `reorg-monitor · ${new Date().toISOString()}` }],
+  });
+  return { text: alertSummary(chain, type, data), blocks };
+}
+
+/**
+ * Discord webhook payload: one embed coloured by severity, the tx diff hidden behind a spoiler.
+ */
+function formatDiscord(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const facts = alertFacts(type, data, { chainName, explorerUrl });
+  const fields = facts.map(fact => ({
+    name: fact.label,
+    value: truncate(markdownText(fact), 1024),
+    inline: true,
+  }));
+  const diff = txDiffSummary(data.tx_diff, { explorerUrl, link: markdownLink });
+  if (diff) fields.push({ name: 'Transactions', value: truncate(`||${diff}||`, 1024), inline: false });
+  return {
+    embeds: [{
+      title: truncate(`${SEVERITY_EMOJI[data.severity] ?? '🚨'} ${type}`, 256),
+      description: truncate(alertSummary(chainName ?? chain, type, data), 4096),
+      color: SEVERITY_COLOR[data.severity] ?? SEVERITY_COLOR.HIGH,
+      fields: fields.slice(0, 25),
+      footer: { text: `reorg-monitor${chain ? ` · ${chain}` : ''}` },
+      timestamp: new Date().toISOString(),
+    }],
+  };
+}
+
+const FEISHU_TEMPLATE = { CRITICAL: 'red', HIGH: 'orange', WARNING: 'yellow', INFO: 'blue' };
+
+/**
+ * Feishu/Lark custom bot interactive card: header coloured by severity, short fields, tx diff and a note.
+ */
+function formatFeishu(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const facts = alertFacts(type, data, { chainName, explorerUrl });
+  const elements = [{
+    tag: 'div',
+    fields: facts.map(fact => ({ is_short: true, text: { tag: 'lark_md', content: `**${fact.label}**\n${markdownText(fact)}` } })),
+  }];
+  const diff = txDiffSummary(data.tx_diff, { explorerUrl, link: markdownLink });
+  if (diff) {
+    elements.push({ tag: 'hr' }, { tag: 'div', text: { tag: 'lark_md', content: `**Transactions**\n${diff}` } });
+  }
+  elements.push({ tag: 'note', elements: [{ tag: 'plain_text', content: `reorg-monitor · ${new Date().toISOString()}` }] });
+  return {
+    msg_type: 'interactive',
+    card: {
+      config: { wide_screen_mode: true },
+      header: {
+        title: { tag: 'plain_text', content: alertTitle(type, data, { chain, chainName }) },
+        template: FEISHU_TEMPLATE[data.severity] ?? 'red',
+      },
+      elements,
+    },
+  };
+}
+
+/**
+ * DingTalk robot message: an ActionCard with a button to the block explorer when there is a link,
+ * plain markdown otherwise.
+ */
+function formatDingTalk(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const facts = alertFacts(type, data, { chainName, explorerUrl });
+  const title = alertTitle(type, data, { chain, chainName });
+  const lines = [`### ${title}`, '', ...facts.map(fact => `- **${fact.label}**: ${markdownText(fact)}`)];
+  const diff = txDiffSummary(data.tx_diff, { explorerUrl, link: markdownLink });
+  if (diff) lines.push('', '**Transactions**', '', ...diff.split('\n').map(line => `- ${line}`));
+  const text = truncate(lines.join('\n'), 5000);
+
+  const link = facts.find(fact => fact.url);
+  if (!link) return { msgtype: 'markdown', markdown: { title, text } };
+  return {
+    msgtype: 'actionCard',
+    actionCard: { title, text, btnOrientation: '0', singleTitle: `${link.label} in explorer`, singleURL: link.url },
+  };
+}
+
+/**
+ * WeCom group bot message: a text_notice template card (which needs a click-through link) when there is an
+ * explorer link, coloured markdown otherwise.
+ */
+function formatWeCom(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const facts = alertFacts(type, data, { chainName, explorerUrl });
+  const title = alertTitle(type, data, { chain, chainName });
+  const diff = txDiffSummary(data.tx_diff, { explorerUrl, link: markdownLink });
+  const link = facts.find(fact => fact.url);
+
+  if (!link) {
+    const color = data.severity === 'INFO' ? 'info' : 'warning';
+    const lines = [`## <font color="${color}">${title}</font>`, ...facts.map(fact => `> ${fact.label}: <font color="comment">${fact.text}</font>`)];
+    if (diff) lines.push('', diff);
+    // WeCom rejects markdown over 4096 bytes; stay well below it for multi-byte text
+    return { msgtype: 'markdown', markdown: { content: truncate(lines.join('\n'), 3000) } };
+  }
+
+  const plain = txDiffSummary(data.tx_diff, { explorerUrl: null, link: markdownLink });
+  return {
+    msgtype: 'template_card',
+    template_card: {
+      card_type: 'text_notice',
+      source: { desc: 'reorg-monitor' },
+      main_title: { title: truncate(title, 26), desc: truncate(alertSummary(chainName ?? chain, type, data), 30) },
+      ...(data.depth !== undefined && { emphasis_content: { title: String(data.depth), desc: 'Reorg depth' } }),
+      sub_title_text: plain ? truncate(plain.replace(/\n/g, '; '), 112) : undefined,
+      // The card allows at most six rows
+      horizontal_content_list: facts.slice(0, 6).map(fact => ({
+        keyname: truncate(fact.label, 5),
+        value: truncate(fact.text, 26),
+        ...(fact.url && { type: 1, url: fact.url }),
+      })),
+      card_action: { type: 1, url: link.url },
+    },
+  };
+}
+
+
+// Old and new branch of a REORG side by side, one row per replaced height
+function branchRows(data) {
+  if (!Array.isArray(data.old_branch)) return [];
+  const rows = new Map();
+  for (const [side, branch] of [['old', data.old_branch], ['new', data.new_branch ?? []]]) {
+    for (const block of branch) {
+      if (!rows.has(block.height)) rows.set(block.height, { height: block.height, old: null, new: null });
+      rows.get(block.height)[side] = block;
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.height - b.height);
+}
+
+/**
+ * Email: `{ subject, html, text }`. The HTML has a summary table, the old vs new branch of a reorg and the
+ * tx diff (first EMAIL_LISTED_TXS per side, linked to the explorer); `text` is the plain-text fallback.
+ */
+function formatEmail(type, data, { chain = null, chainName = null, explorerUrl = null } = {}) {
+  const facts = alertFacts(type, data, { chainName, explorerUrl });
+  const title = alertTitle(type, data, { chain, chainName });
+  const summary = alertSummary(chainName ?? chain, type, data);
+  const explorer = explorerUrl ? explorerUrl.replace(/\/$/, '') : null;
+  const blockUrl = hash => (explorer ? `${explorer}/block/${hash}` : null);
+  const txUrl = hash => (explorer ? `${explorer}/tx/${hash}` : null);
+  const color = `#${(SEVERITY_COLOR[data.severity] ?? SEVERITY_COLOR.HIGH).toString(16).padStart(6, '0')}`;
+  const cell = 'style="padding:4px 12px;border-bottom:1px solid #eee;text-align:left"';
+  const sent = new Date().toISOString();
+
+  const html = [
+    `<h2 style="color:${color}">${escapeHtml(title)}</h2>`,
+    `<p>${escapeHtml(summary)}</p>`,
+    '<table style="border-collapse:collapse">',
+    ...facts.map(fact => `<tr><th ${cell}>${escapeHtml(fact.label)}</th><td ${cell}>${htmlLink(fact.text, fact.url)}</td></tr>`),
+    '</table>',
+  ];
+  const text = [title, '', summary, '', ...facts.map(fact => `${fact.label}: ${fact.text}${fact.url ? ` (${fact.url})` : ''}`)];
+
+  const rows = branchRows(data);
+  if (rows.length > 0) {
+    const blockCell = block => (block
+      ? `${htmlLink(shortHash(block.hash), blockUrl(block.hash))} (${block.transactions?.length ?? 0} txs)`
+      : '—');
+    html.push(
+      '<h3>Old vs new branch</h3>',
+      '<table style="border-collapse:collapse">',
+      `<tr><th ${cell}>Height</th><th ${cell}>Old block</th><th ${cell}>New block</th></tr>`,
+      ...rows.map(row => `<tr><td ${cell}>${row.height}</td><td ${cell}>${blockCell(row.old)}</td><td ${cell}>${blockCell(row.new)}</td></tr>`),
+      '</table>'
+    );
+    text.push('', 'Old vs new branch:', ...rows.map(row => `  ${row.height}: ${row.old?.hash ?? '-'} -> ${row.new?.hash ?? '-'}`));
+  }
+
+  if (data.tx_diff) {
+    html.push('<h3>Transactions</h3>');
+    text.push('', 'Transactions:');
+    for (const [label, hashes] of [['Dropped', data.tx_diff.dropped ?? []], ['Added', data.tx_diff.added ?? []]]) {
+      const listed = hashes.slice(0, EMAIL_LISTED_TXS);
+      const more = hashes.length - listed.length;
+      html.push(`<p><b>${label}: ${hashes.length}</b></p>`);
+      if (listed.length > 0) {
+        html.push(`<ul>${listed.map(hash => `<li><code>${htmlLink(hash, txUrl(hash))}</code></li>`).join('')}</ul>`);
+      }
+      if (more > 0) html.push(`<p>… and ${more} more (see the attached JSON)</p>`);
+      text.push(`  ${label}: ${hashes.length}`, ...listed.map(hash => `    ${hash}`));
+      if (more > 0) text.push(`    … and ${more} more (see the attached JSON)`);
+    }
+  }
+
+  html.push(`<p style="color:#888;font-size:12px">reorg-monitor · ${sent} · the full event is attached as JSON</p>`);
+  text.push('', `reorg-monitor · ${sent} · the full event is attached as JSON`);
+
+  return {
+    subject: `[${data.severity ?? 'ALERT'}] ${summary}`,
+    html: html.join('\n'),
+    text: text.join('\n'),
+  };
+}
+
+module.exports = {
+  alertSummary,
+  alertFacts,
+  alertDetails,
+  txDiffSummary,
+  formatTelegram,
+  formatWebhookText,
+  formatSlack,
+  formatDiscord,
+  formatFeishu,
+  formatDingTalk,
+  formatWeCom,
+  formatEmail,
+  shortHash,
+  SEVERITY_EMOJI,
+};
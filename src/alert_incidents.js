@@ -0,0 +1,190 @@
+/**
+ * Alert Incidents
+ *
+ * Sits between the monitor and the alert router so one reorg pages once instead of once per height and tick.
+ * Related events share an incident group (a reorg's REORG / CHAIN_REWIND / LOGS_REORGED, a stall, a run of
+ * timestamp anomalies); other types are grouped by type.
+ *
+ *   - The first routed event of a group opens an incident and is sent with its `incident_id`.
+ *   - Further events of the group are counted but not sent, unless they raise the incident's severity or are a
+ *     different occurrence (see EVENT_IDENTITY: a new fork point, another double-spent sender/nonce, ...).
+ *   - Once the group has been quiet for `cooldownMs` and, with `resolveAfterBlocks`, that many blocks have been
+ *     processed since its last routed event (or its resolving event arrives, e.g. CHAIN_RESUMED), an
+ *     INCIDENT_RESOLVED summary goes to the channels that were notified. Paging channels use it to resolve
+ *     their incident. Events no channel wants (e.g. INFO tip replacements) are counted but keep no incident open.
+ */
+const { severityRank } = require('./severity');
+
+const INCIDENT_GROUPS = {
+  REORG: 'reorg',
+  CHAIN_REWIND: 'reorg',
+  LOGS_REORGED: 'reorg',
+  CHAIN_STALLED: 'stall',
+  CHAIN_RESUMED: 'stall',
+  TIMESTAMP_WENT_BACKWARDS: 'timestamp',
+  TIMESTAMP_IN_FUTURE: 'timestamp',
+  BLOCK_INTERVAL_ANOMALY: 'timestamp',
+};
+
+// What makes two events of a type the same occurrence; types without an entry are repeats of their group
+const forkIdentity = event => `fork:${event.fork_point?.hash ?? event.fork_point?.height ?? event.old_tip?.hash}`;
+const EVENT_IDENTITY = {
+  REORG: forkIdentity,
+  WATCHLIST_REORG_IMPACT: forkIdentity,
+  CHAIN_REWIND: event => `rewind:${event.from_height}->${event.to_height}`,
+  DOUBLE_SPEND_SUSPECTED: event => `${event.from?.toLowerCase()}:${event.nonce}`,
+  FINALITY_VIOLATION: event => (event.reason === 'FINALIZED_BLOCK_REPLACED'
+    ? `${event.reason}:${event.fork_point?.hash ?? event.blocks?.[0]?.old_hash}`
+    : `${event.reason}:${event.finalized_height}:${event.finalized_hash}`),
+  TX_LOST: event => event.tx_hash,
+  PROVIDER_DIVERGENCE: event => `${event.kind}:${event.height}`,
+  CHAIN_ID_CHANGED: event => String(event.new_chain_id),
+  GENESIS_CHANGED: event => event.new_genesis_hash,
+  ALERT_DELIVERY_FAILED: event => `${event.alert_id}:${event.channel}`,
+};
+
+function eventIdentity(type, event) {
+  return EVENT_IDENTITY[type]?.(event) ?? null;
+}
+
+// Events that end their group's incident right away instead of waiting for the cooldown
+const RESOLVING_EVENTS = new Set(['CHAIN_RESUMED']);
+
+function incidentGroup(type) {
+  return INCIDENT_GROUPS[type] ?? type;
+}
+
+function createAlertIncidents({
+  chain = null,
+  router,
+  deliver = (channels, type, event) => router.sendTo(channels, type, event), // e.g. alert_queue.js enqueue
+  cooldownMs = 300_000,
+  resolveAfterBlocks = 0, // Healthy blocks required after the last event before resolving; 0 = time only
+  currentHeight = () => null, // Latest processed block height, for resolveAfterBlocks
+  now = () => Date.now(),
+}) {
+  if (!router) throw new Error('router is required');
+
+  const open = new Map(); // group -> incident
+
+  function summarize(incident, reason) {
+    const resolvedAt = now();
+    return {
+      incident_id: incident.id,
+      group: incident.group,
+      severity: incident.severity,
+      reason,
+      last_event_height: incident.lastEventHeight,
+      resolved_height: currentHeight(),
+      opened_at: new Date(incident.openedAt).toISOString(),
+      resolved_at: new Date(resolvedAt).toISOString(),
+      duration_ms: resolvedAt - incident.openedAt,
+      first_event_type: incident.firstEventType,
+      event_counts: { ...incident.eventCounts },
+      notifications: incident.notifications,
+      suppressed: incident.suppressed,
+    };
+  }
+
+  function resolve(incident, reason) {
+    open.delete(incident.group);
+    const summary = summarize(incident, reason);
+    return { summary, delivery: deliver([...incident.channels], 'INCIDENT_RESOLVED', summary) };
+  }
+
+  /**
+   * Feeds one event (with its severity) through the incident layer. Returns `{ delivery, resolved }`:
+   * `delivery` is what `deliver` returned (an empty result when the event was grouped into an open incident
+   * or not routed at all), `resolved` is the INCIDENT_RESOLVED summary when the event ended an incident.
+   */
+  function handle(type, event) {
+    const group = incidentGroup(type);
+    let incident = open.get(group);
+    const channels = router.route(type, event);
+
+    if (!incident) {
+      if (channels.length === 0 || RESOLVING_EVENTS.has(type)) return { delivery: Promise.resolve([]), resolved: null };
+      const identity = eventIdentity(type, event);
+      incident = {
+        id: `${chain ?? 'chain'}-${group}-${now()}`,
+        group,
+        severity: event.severity,
+        openedAt: now(),
+        lastEventAt: now(),
+        lastEventHeight: currentHeight(),
+        firstEventType: type,
+        eventCounts: { [type]: 1 },
+        channels: new Set(channels),
+        identities: new Set(identity === null ? [] : [identity]),
+        notifications: 1,
+        suppressed: 0,
+      };
+      open.set(group, incident);
+      return { delivery: deliver(channels, type, { ...event, incident_id: incident.id }), resolved: null };
+    }
+
+    incident.eventCounts[type] = (incident.eventCounts[type] ?? 0) + 1;
+
+    if (RESOLVING_EVENTS.has(type)) {
+      const { summary, delivery } = resolve(incident, type);
+      return { delivery, resolved: summary };
+    }
+
+    // Only events someone is alerted about keep the incident open
+    if (channels.length === 0) return { delivery: Promise.resolve([]), resolved: null };
+    incident.lastEventAt = now();
+    incident.lastEventHeight = currentHeight();
+
+    const identity = eventIdentity(type, event);
+    const isNew = identity !== null && !incident.identities.has(identity);
+    const escalates = severityRank(event.severity) > severityRank(incident.severity);
+    if (!isNew && !escalates) {
+      incident.suppressed++;
+      return { delivery: Promise.resolve([]), resolved: null };
+    }
+
+    if (identity !== null) incident.identities.add(identity);
+    incident.notifications++;
+    for (const name of channels) incident.channels.add(name);
+    const sent = { ...event, incident_id: incident.id };
+    if (escalates) {
+      sent.escalated_from = incident.severity;
+      incident.severity = event.severity;
+    }
+    return { delivery: deliver(channels, type, sent), resolved: null };
+  }
+
+  function isQuiet(incident) {
+    if (now() - incident.lastEventAt < cooldownMs) return false;
+    if (resolveAfterBlocks <= 0) return true;
+    const height = currentHeight();
+    if (height === null || incident.lastEventHeight === null) return false;
+    return height - incident.lastEventHeight >= resolveAfterBlocks;
+  }
+
+  /**
+   * Resolves every incident whose group has been quiet long enough (see above).
+   * Returns `[{ summary, delivery }]` for the incidents it closed.
+   */
+  function resolveQuiet() {
+    const resolved = [];
+    for (const incident of [...open.values()]) {
+      if (isQuiet(incident)) resolved.push(resolve(incident, 'quiet'));
+    }
+    return resolved;
+  }
+
+  function openIncidents() {
+    return [...open.values()].map(incident => ({
+      incident_id: incident.id,
+      group: incident.group,
+      severity: incident.severity,
+      opened_at: new Date(incident.openedAt).toISOString(),
+      event_counts: { ...incident.eventCounts },
+    }));
+  }
+
+  return { handle, resolveQuiet, openIncidents };
+}
+
+module.exports = { createAlertIncidents, incidentGroup, eventIdentity, INCIDENT_GROUPS };
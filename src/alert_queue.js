@@ -0,0 +1,160 @@
+/**
+ * Alert Delivery Queue
+ *
+ * Outbound alerts are written to a store (see state_store.js; `STATE_DIR/<chain>.alerts.json` from the CLI)
+ * before they are sent, one entry per alert and channel, so a Telegram or webhook outage during a reorg
+ * does not lose the page and a restarted monitor picks up where it left off.
+ *
+ * A failed send is retried with exponential backoff (`baseDelayMs`, doubling up to `maxDelayMs`).
+ * Each entry records `status` (`pending`, `delivered`, `failed`), `attempts` and `last_error`;
+ * after `maxAttempts` it is marked failed and `onFailed(entry)` is called. Errors a retry cannot fix (a bad token,
+ * an unknown webhook, a payload the service rejects) carry `retryable: false` and fail the entry right away.
+ * The most recent `keepFinished` delivered or failed entries are kept as a delivery log.
+ */
+const { randomUUID } = require('node:crypto');
+
+function toJsonSafe(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+}
+
+function createAlertQueue({
+  send, // (channel, type, event) => Promise, rejects when the alert was not delivered
+  store = null, // { load, save } from state_store.js; null keeps the queue in memory only
+  maxAttempts = 8,
+  baseDelayMs = 5000,
+  maxDelayMs = 600_000,
+  keepFinished = 200,
+  attemptTimeoutMs = 30_000, // A send that hangs this long counts as failed
+  now = () => Date.now(),
+  onAttemptFailed = () => {}, // (entry) after a failed attempt that will be retried
+  onFailed = () => {}, // (entry) once the retry budget is exhausted
+  onError = () => {}, // store errors
+}) {
+  if (!send) throw new Error('send is required');
+
+  let entries = [];
+  let saveQueue = Promise.resolve();
+  let draining = null;
+
+  const ready = (async () => {
+    if (!store) return;
+    try {
+      const snapshot = await store.load();
+      entries = snapshot?.entries ?? [];
+    } catch (err) {
+      onError(err);
+    }
+  })();
+
+  function persist() {
+    if (!store) return saveQueue;
+    saveQueue = saveQueue.then(() => store.save({ entries })).catch(onError);
+    return saveQueue;
+  }
+
+  function backoff(attempts) {
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  }
+
+  function sendWithTimeout(entry) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${attemptTimeoutMs} ms`)), attemptTimeoutMs);
+      timer.unref?.();
+    });
+    return Promise.race([send(entry.channel, entry.type, entry.event), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async function attempt(entry) {
+    entry.attempts++;
+    entry.last_attempt_at = now();
+    try {
+      await sendWithTimeout(entry);
+      entry.status = 'delivered';
+      entry.delivered_at = now();
+      entry.last_error = null;
+    } catch (err) {
+      entry.last_error = err?.message ?? String(err);
+      if (err?.retryable === false || entry.attempts >= maxAttempts) {
+        entry.status = 'failed';
+        onFailed({ ...entry });
+      } else {
+        entry.next_attempt_at = now() + backoff(entry.attempts);
+        onAttemptFailed({ ...entry });
+      }
+    }
+  }
+
+  function prune() {
+    const finished = entries.filter(entry => entry.status !== 'pending');
+    if (finished.length <= keepFinished) return;
+    const dropped = new Set(finished.slice(0, finished.length - keepFinished));
+    entries = entries.filter(entry => !dropped.has(entry));
+  }
+
+  async function drain() {
+    await ready;
+    let due;
+    while ((due = entries.filter(entry => entry.status === 'pending' && entry.next_attempt_at <= now())).length > 0) {
+      await Promise.all(due.map(attempt));
+      prune();
+      await persist();
+    }
+  }
+
+  /**
+   * Sends every entry whose retry time has come. Concurrent calls share one pass.
+   */
+  function processDue() {
+    draining ??= drain().finally(() => {
+      draining = null;
+    });
+    return draining;
+  }
+
+  /**
+   * Queues an alert for each channel and tries to send it right away.
+   * Resolves once that first attempt has finished (delivered or scheduled for retry).
+   */
+  async function enqueue(channels, type, event) {
+    if (channels.length === 0) return;
+    await ready;
+    const alertId = randomUUID();
+    const createdAt = now();
+    const payload = toJsonSafe(event);
+    for (const channel of channels) {
+      entries.push({
+        id: `${alertId}:${channel}`,
+        alert_id: alertId,
+        channel,
+        type,
+        event: payload,
+        status: 'pending',
+        attempts: 0,
+        created_at: createdAt,
+        next_attempt_at: createdAt,
+        last_attempt_at: null,
+        delivered_at: null,
+        last_error: null,
+      });
+    }
+    await persist();
+    // A pass that is just finishing may already have checked for due entries, so start a fresh one after it
+    await draining;
+    await processDue();
+  }
+
+  function list() {
+    return entries.map(entry => ({ ...entry }));
+  }
+
+  function stats() {
+    const counts = { pending: 0, delivered: 0, failed: 0 };
+    for (const entry of entries) counts[entry.status]++;
+    return counts;
+  }
+
+  return { enqueue, processDue, list, stats, ready, flush: () => saveQueue };
+}
+
+module.exports = { createAlertQueue };
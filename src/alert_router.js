@@ -0,0 +1,137 @@
+/**
+ * Alert Router
+ *
+ * Decides which channels (see alert_send.js) receive an event. Routing is a list of rules, checked in order:
+ *
+ *   { chains: ['monad'], events: ['CHAIN_REWIND'], minSeverity: 'HIGH', channels: ['oncall-telegram', 'pagerduty'] }
+ *
+ * `chains` and `events` are optional (omitted = any), `minSeverity` defaults to INFO. The first matching rule
+ * wins unless it sets `continue: true`, in which case later rules are checked too. Only events that carry a
+ * severity are routed.
+ *
+ * ALERT_ROUTES_FILE holds `{ channels: { <name>: { type, ... } }, rules: [...] }`; `${VAR}` in channel
+ * settings is replaced from the environment so secrets can stay out of the file.
+ */
+const fs = require('node:fs');
+const { severityRank } = require('./severity');
+const { createChannel, PAGING_CHANNEL_TYPES } = require('./alert_send');
+
+function appliesToChain(rule, chain) {
+  return !rule.chains || rule.chains.includes(chain);
+}
+
+function assertSeverity(severity, where) {
+  if (severityRank(severity) === -1) throw new Error(`Unknown severity "${severity}" in ${where}`);
+}
+
+/**
+ * `channels` maps channel names to channel objects; every rule must only name known channels.
+ */
+function createAlertRouter({ chain = null, channels = {}, rules = [] } = {}) {
+  rules.forEach((rule, i) => {
+    if (!Array.isArray(rule.channels) || rule.channels.length === 0) {
+      throw new Error(`rules[${i}]: channels must be a non-empty list`);
+    }
+    assertSeverity(rule.minSeverity ?? 'INFO', `rules[${i}].minSeverity`);
+  });
+
+  // Rules for other chains can never match in this process
+  const activeRules = rules.filter(rule => appliesToChain(rule, chain));
+  activeRules.forEach((rule) => {
+    for (const name of rule.channels) {
+      if (!channels[name]) throw new Error(`rules[${rules.indexOf(rule)}]: unknown channel "${name}"`);
+    }
+  });
+
+  function matches(rule, type, severity) {
+    if (rule.events && !rule.events.includes(type)) return false;
+    return severityRank(severity) >= severityRank(rule.minSeverity ?? 'INFO');
+  }
+
+  /**
+   * Names of the channels an event goes to, in rule order, without duplicates.
+   */
+  function route(type, event) {
+    const severity = event.severity;
+    if (severity === undefined || severityRank(severity) === -1) return [];
+
+    const selected = new Set();
+    for (const rule of activeRules) {
+      if (!matches(rule, type, severity)) continue;
+      for (const name of rule.channels) selected.add(name);
+      if (!rule.continue) break;
+    }
+    return [...selected];
+  }
+
+  /**
+   * Sends an event to the named channels. Resolves with `{ channel, ok, error }` per channel;
+   * one failing channel does not hold back the others.
+   */
+  async function sendTo(names, type, event) {
+    const settled = await Promise.allSettled(names.map(name => channels[name].send(type, event)));
+    return settled.map((result, i) => ({
+      channel: names[i],
+      ok: result.status === 'fulfilled',
+      error: result.status === 'rejected' ? result.reason : null,
+    }));
+  }
+
+  function dispatch(type, event) {
+    return sendTo(route(type, event), type, event);
+  }
+
+  return { route, dispatch, sendTo, channelNames: Object.keys(channels) };
+}
+
+function expandEnv(value, env, where) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (env[name] === undefined) throw new Error(`${where}: environment variable ${name} is not set`);
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => expandEnv(item, env, where));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env, where)]));
+  }
+  return value;
+}
+
+/**
+ * Builds a router from an ALERT_ROUTES_FILE config. Only channels used by rules for this chain are created,
+ * so credentials for other chains' channels need not be set. `chainName` and `explorerUrl` are passed on
+ * to the channels for formatting.
+ */
+function createAlertRouterFromConfig({ chain = null, chainName = null, explorerUrl = null, config, env = process.env }) {
+  const rules = config.rules ?? [];
+  const used = new Set(rules.filter(rule => appliesToChain(rule, chain)).flatMap(rule => rule.channels ?? []));
+
+  const channels = {};
+  for (const [name, channelConfig] of Object.entries(config.channels ?? {})) {
+    if (used.has(name)) channels[name] = createChannel(name, { chain, chainName, explorerUrl, ...expandEnv(channelConfig, env, `Channel "${name}"`) });
+  }
+
+  return createAlertRouter({ chain, channels, rules });
+}
+
+function loadAlertRoutes(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Router used without ALERT_ROUTES_FILE: chat channels get events at `minSeverity` or above and hourly
+ * threat reports from WARNING up; paging channels (PagerDuty, Opsgenie) only get CRITICAL events.
+ */
+function createDefaultAlertRouter({ chain = null, channels = {}, minSeverity = 'HIGH' } = {}) {
+  const names = Object.keys(channels);
+  const pagers = names.filter(name => PAGING_CHANNEL_TYPES.includes(channels[name].type));
+  const chat = names.filter(name => !pagers.includes(name));
+  const rules = [];
+  if (chat.length > 0) rules.push({ events: ['HOURLY_THREAT_REPORT'], minSeverity: 'WARNING', channels: chat });
+  if (pagers.length > 0) rules.push({ minSeverity: 'CRITICAL', channels: pagers, continue: true });
+  if (chat.length > 0) rules.push({ minSeverity, channels: chat });
+  return createAlertRouter({ chain, channels, rules });
+}
+
+module.exports = { createAlertRouter, createAlertRouterFromConfig, createDefaultAlertRouter, loadAlertRoutes };
@@ -1,51 +1,71 @@
 const nodemailer = require('nodemailer');
 const https = require('https');
+const crypto = require('crypto');
 const { HttpsProxyAgent } = require('https-proxy-agent');
-require('dotenv').config();
+const {
+  alertSummary,
+  formatTelegram,
+  formatWebhookText,
+  formatSlack,
+  formatDiscord,
+  formatFeishu,
+  formatDingTalk,
+  formatWeCom,
+  formatEmail,
+} = require('./alert_format');
+const { severityRank, SEVERITY_LEVELS } = require('./severity');
+require('dotenv').config({ quiet: true });
 
 // Email Configuration
+const EMAIL_ALERTS = process.env.EMAIL_ALERTS === 'true'; // Opt-in: email is only sent when enabled
 const EMAIL_SERVICE = process.env.EMAIL_SERVICE; // e.g., 'gmail'
 const EMAIL_HOST = process.env.EMAIL_HOST;
 const EMAIL_PORT = process.env.EMAIL_PORT ? Number.parseInt(process.env.EMAIL_PORT, 10) : 587;
 const EMAIL_SECURE = process.env.EMAIL_SECURE === 'true';
 const EMAIL_USER = process.env.EMAIL_USER;
 const EMAIL_PASS = process.env.EMAIL_PASS;
-const EMAIL_TO = process.env.EMAIL_TO;
+const EMAIL_FROM = process.env.EMAIL_FROM || EMAIL_USER;
+const EMAIL_TO = process.env.EMAIL_TO; // Comma-separated; EMAIL_TO_WARNING / _HIGH / _CRITICAL add recipients from that severity up
 
 // Telegram Configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID;
 const PROXY_URL = process.env.HTTPS_PROXY || process.env.http_proxy;
 
-let transportConfig = {
-  auth: {
-    user: EMAIL_USER,
-    pass: EMAIL_PASS,
-  },
-};
+// Paging Configuration
+const PAGERDUTY_ROUTING_KEY = process.env.PAGERDUTY_ROUTING_KEY;
+const OPSGENIE_API_KEY = process.env.OPSGENIE_API_KEY;
+const OPSGENIE_API_URL = process.env.OPSGENIE_API_URL || 'https://api.opsgenie.com'; // api.eu.opsgenie.com for EU accounts
 
-if (EMAIL_HOST) {
-  transportConfig.host = EMAIL_HOST;
-  transportConfig.port = EMAIL_PORT;
-  transportConfig.secure = EMAIL_SECURE;
-} else if (EMAIL_SERVICE) {
-  transportConfig.service = EMAIL_SERVICE;
-}
-
-const transporter = nodemailer.createTransport(transportConfig);
+// Chinese IM Bot Configuration
+const FEISHU_WEBHOOK_URL = process.env.FEISHU_WEBHOOK_URL; // open.feishu.cn or open.larksuite.com
+const FEISHU_SECRET = process.env.FEISHU_SECRET;
+const DINGTALK_WEBHOOK_URL = process.env.DINGTALK_WEBHOOK_URL;
+const DINGTALK_SECRET = process.env.DINGTALK_SECRET;
+const WECOM_WEBHOOK_URL = process.env.WECOM_WEBHOOK_URL;
 
-async function sendTelegramAlert(type, data) {
-  if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
-    console.warn('Telegram configuration incomplete. Skipping Telegram alert.');
-    return;
-  }
+/**
+ * A delivery error the alert queue can act on: `retryable: false` marks rejections a retry cannot fix
+ * (bad credentials, unknown webhook, malformed payload), which then fail without using up the retry budget.
+ */
+function deliveryError(message, { retryable }) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
 
-  const message = `🚨 CRITICAL ALERT: ${type} - ${new Date().toISOString()}\n` +
-                  `Severity: ${data.severity || 'UNKNOWN'}\n\n` +
-                  `Details:\n<pre>${JSON.stringify(data, null, 2)}</pre>`;
+// Timeouts, rate limits and server errors are worth retrying; other 4xx are not
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
 
+/**
+ * POSTs an HTML message (see formatTelegram) to the Telegram Bot API through https (and the proxy, if any).
+ * Rejects on network errors and non-2xx responses so callers can tell a lost alert from a sent one.
+ */
+function postTelegramMessage({ botToken, chatId, proxyUrl }, message) {
   const postData = JSON.stringify({
-    chat_id: TELEGRAM_CHAT_ID,
+    chat_id: chatId,
     text: message,
     parse_mode: 'HTML'
   });
@@ -53,13 +73,13 @@ async function sendTelegramAlert(type, data) {
   const options = {
     hostname: 'api.telegram.org',
     port: 443,
-    path: `/bot${TELEGRAM_BOT_TOKEN}/sendMessage`,
+    path: `/bot${botToken}/sendMessage`,
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'Content-Length': Buffer.byteLength(postData)
     },
-    agent: PROXY_URL ? new HttpsProxyAgent(PROXY_URL) : undefined
+    agent: proxyUrl ? new HttpsProxyAgent(proxyUrl) : undefined
   };
 
   return new Promise((resolve, reject) => {
@@ -68,55 +88,428 @@ async function sendTelegramAlert(type, data) {
       res.on('data', (chunk) => { responseBody += chunk; });
       res.on('end', () => {
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          console.log('Telegram alert sent successfully');
           resolve();
         } else {
-          console.error(`Failed to send Telegram alert. Status: ${res.statusCode}, Body: ${responseBody}`);
-          // Don't reject, just log error to avoid stopping other alerts
-          resolve(); 
+          reject(deliveryError(`Telegram responded ${res.statusCode}: ${responseBody}`, { retryable: isRetryableStatus(res.statusCode) }));
         }
       });
     });
 
-    req.on('error', (e) => {
-      console.error(`Problem with Telegram request: ${e.message}`);
-      resolve(); // Don't reject
-    });
+    req.on('error', reject);
 
     req.write(postData);
     req.end();
   });
 }
 
-async function sendEmailAlert(type, data) {
-  if ((!EMAIL_SERVICE && !EMAIL_HOST) || !EMAIL_USER || !EMAIL_PASS || !EMAIL_TO) {
-    console.warn('Email configuration incomplete. Skipping email alert.');
-    return;
+// Email channel settings from the EMAIL_* variables
+function envEmailConfig() {
+  const bySeverity = Object.fromEntries(SEVERITY_LEVELS
+    .map(level => [level, level === 'INFO' ? EMAIL_TO : process.env[`EMAIL_TO_${level}`]])
+    .filter(([, addresses]) => addresses));
+  return {
+    service: EMAIL_SERVICE,
+    host: EMAIL_HOST,
+    port: EMAIL_PORT,
+    secure: EMAIL_SECURE,
+    user: EMAIL_USER,
+    pass: EMAIL_PASS,
+    from: EMAIL_FROM,
+    to: Object.keys(bySeverity).length > 0 ? bySeverity : undefined,
+  };
+}
+
+/**
+ * Alert Channels
+ *
+ * A channel is `{ name, type, send(type, data) }`; `send` rejects when the alert was not delivered.
+ * Channels are created from plain config objects (see alert_router.js for how they are selected):
+ *   { type: 'webhook', url }                      Generic webhook, plain-text summary for both Slack (text) and Discord (content)
+ *   { type: 'slack', url }                        Slack incoming webhook, Block Kit message
+ *   { type: 'discord', url }                      Discord webhook, embed
+ *   { type: 'telegram', botToken, chatId, proxyUrl }
+ *   { type: 'feishu', url, secret }               Feishu/Lark custom bot (`lark` also works), interactive card
+ *   { type: 'dingtalk', url, secret }             DingTalk robot, ActionCard
+ *   { type: 'wecom', url }                        WeCom group bot, template card
+ *   { type: 'email', to, from, host, port, secure, service, user, pass }
+ *                                                 SMTP email: HTML report, plain-text fallback and the event as JSON
+ *   { type: 'pagerduty', routingKey }             PagerDuty Events API v2
+ *   { type: 'opsgenie', apiKey, apiUrl }          Opsgenie Alert API
+ * The router passes every factory `chain` (the monitored chain's key), `chainName` and `explorerUrl`.
+ *
+ * Paging channels open one alert per incident: the dedup key / alias is the event's `incident_id`
+ * (see alert_incidents.js), and INCIDENT_RESOLVED resolves / closes it.
+ */
+
+async function postJson(url, body, { headers = {} } = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    const detail = await res.text().catch(() => '');
+    throw deliveryError(`${new URL(url).host} responded ${res.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`, {
+      retryable: isRetryableStatus(res.status),
+    });
   }
+  return res;
+}
 
-  const subject = `🚨 CRITICAL ALERT: ${type} - ${new Date().toISOString()}`;
-  const text = `Severity: ${data.severity || 'UNKNOWN'}\n\nDetails:\n${JSON.stringify(data, null, 2)}`;
+// Bot error codes that mean "try again later": busy (-1), Feishu / DingTalk / WeCom rate limits
+const BOT_RETRYABLE_CODES = new Set([-1, 11232, 130101, 45009]);
 
-  try {
-    await transporter.sendMail({
-      from: EMAIL_USER,
-      to: EMAIL_TO,
-      subject: subject,
-      text: text,
+// Feishu, DingTalk and WeCom answer HTTP 200 even when they reject a message; the verdict is in the body
+async function postBotMessage(url, body) {
+  const res = await postJson(url, body);
+  const reply = await res.json().catch(() => ({}));
+  const code = reply.code ?? reply.StatusCode ?? reply.errcode ?? 0;
+  if (code !== 0) {
+    const message = reply.msg ?? reply.StatusMessage ?? reply.errmsg ?? '';
+    throw deliveryError(`${new URL(url).host} rejected the message: ${code} ${message}`.trim(), {
+      retryable: BOT_RETRYABLE_CODES.has(code),
     });
-    console.log('Email alert sent successfully');
-  } catch (error) {
-    console.error('Failed to send email alert:', error);
   }
 }
 
-async function sendAlert(type, data) {
-  await Promise.all([
-    // sendEmailAlert(type, data),
-    sendTelegramAlert(type, data)
-  ]);
+// Events sent outside an incident (ALERT_COOLDOWN_MS=0, hourly reports) still get a stable key per chain and type
+function dedupKey(chain, type, data) {
+  return data.incident_id ?? `${chain ?? 'chain'}-${type}`;
+}
+
+function createWebhookChannel({ name = 'webhook', url, chain = null, chainName = null, explorerUrl = null }) {
+  if (!url) throw new Error(`Channel "${name}": url is required`);
+  return {
+    name,
+    type: 'webhook',
+    async send(type, data) {
+      const message = formatWebhookText(type, data, { chain, chainName, explorerUrl });
+
+      // Compatible with Slack (text) and Discord (content)
+      await postJson(url, { content: message, text: message });
+    },
+  };
+}
+
+function createSlackChannel({ name = 'slack', url, chain = null, chainName = null, explorerUrl = null }) {
+  if (!url) throw new Error(`Channel "${name}": url is required`);
+  return {
+    name,
+    type: 'slack',
+    async send(type, data) {
+      await postJson(url, formatSlack(type, data, { chain, chainName, explorerUrl }));
+    },
+  };
+}
+
+function createDiscordChannel({ name = 'discord', url, chain = null, chainName = null, explorerUrl = null }) {
+  if (!url) throw new Error(`Channel "${name}": url is required`);
+  return {
+    name,
+    type: 'discord',
+    async send(type, data) {
+      await postJson(url, formatDiscord(type, data, { chain, chainName, explorerUrl }));
+    },
+  };
+}
+
+// Feishu/Lark signature: HMAC-SHA256 keyed with "timestamp\nsecret" over an empty message, base64
+function feishuSign(secret, timestampSec) {
+  return crypto.createHmac('sha256', `${timestampSec}\n${secret}`).update('').digest('base64');
+}
+
+function createFeishuChannel({ name = 'feishu', url, secret = null, chain = null, chainName = null, explorerUrl = null }) {
+  if (!url) throw new Error(`Channel "${name}": url is required`);
+  return {
+    name,
+    type: 'feishu',
+    async send(type, data) {
+      const card = formatFeishu(type, data, { chain, chainName, explorerUrl });
+      if (!secret) return postBotMessage(url, card);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      return postBotMessage(url, { timestamp, sign: feishuSign(secret, timestamp), ...card });
+    },
+  };
+}
+
+// DingTalk signature: HMAC-SHA256 keyed with the secret over "timestampMs\nsecret", base64, sent in the query
+function dingTalkSign(secret, timestampMs) {
+  return crypto.createHmac('sha256', secret).update(`${timestampMs}\n${secret}`).digest('base64');
+}
+
+function createDingTalkChannel({ name = 'dingtalk', url, secret = null, chain = null, chainName = null, explorerUrl = null }) {
+  if (!url) throw new Error(`Channel "${name}": url is required`);
+  return {
+    name,
+    type: 'dingtalk',
+    async send(type, data) {
+      const target = new URL(url);
+      if (secret) {
+        const timestamp = String(Date.now());
+        target.searchParams.set('timestamp', timestamp);
+        target.searchParams.set('sign', dingTalkSign(secret, timestamp));
+      }
+      return postBotMessage(target.toString(), formatDingTalk(type, data, { chain, chainName, explorerUrl }));
+    },
+  };
+}
+
+function createWeComChannel({ name = 'wecom', url, chain = null, chainName = null, explorerUrl = null }) {
+  if (!url) throw new Error(`Channel "${name}": url is required`);
+  return {
+    name,
+    type: 'wecom',
+    async send(type, data) {
+      return postBotMessage(url, formatWeCom(type, data, { chain, chainName, explorerUrl }));
+    },
+  };
+}
+
+// `to` as `{ SEVERITY: addresses }`: each list receives alerts of that severity and above
+function emailRecipients(to, severity) {
+  const addresses = value => (Array.isArray(value) ? value : String(value).split(',')).map(a => a.trim()).filter(Boolean);
+  if (typeof to === 'string' || Array.isArray(to)) return addresses(to);
+  const rank = Math.max(severityRank(severity), 0);
+  const recipients = Object.entries(to)
+    .filter(([level]) => severityRank(level) <= rank)
+    .flatMap(([, list]) => addresses(list));
+  return [...new Set(recipients)];
+}
+
+function createEmailChannel({
+  name = 'email',
+  to,
+  from = null,
+  service = null,
+  host = null,
+  port = 587,
+  secure = false,
+  user = null,
+  pass = null,
+  transport = null, // nodemailer transport options, replacing the SMTP settings above
+  chain = null,
+  chainName = null,
+  explorerUrl = null,
+}) {
+  if (!to) throw new Error(`Channel "${name}": to is required`);
+  if (!transport && !host && !service) throw new Error(`Channel "${name}": host or service is required`);
+  if (typeof to === 'object' && !Array.isArray(to)) {
+    for (const level of Object.keys(to)) {
+      if (severityRank(level) === -1) throw new Error(`Channel "${name}": unknown severity "${level}" in to`);
+    }
+  }
+
+  // Created on the first alert, so an unused email channel never opens an SMTP connection
+  let transporter = null;
+  const transportOptions = () => {
+    if (transport) return transport;
+    const options = { auth: { user, pass } };
+    if (host) Object.assign(options, { host, port: Number(port), secure: secure === true || secure === 'true' });
+    else options.service = service;
+    return options;
+  };
+
+  return {
+    name,
+    type: 'email',
+    async send(type, data) {
+      const recipients = emailRecipients(to, data.severity);
+      if (recipients.length === 0) return; // Nobody subscribed to this severity
+      transporter ??= nodemailer.createTransport(transportOptions());
+      const { subject, html, text } = formatEmail(type, data, { chain, chainName, explorerUrl });
+      await transporter.sendMail({
+        from: from ?? user,
+        to: recipients,
+        subject,
+        text,
+        html,
+        attachments: [{
+          filename: `${chain ? `${chain}-` : ''}${type}.json`,
+          contentType: 'application/json',
+          content: JSON.stringify(data, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2),
+        }],
+      }).catch((err) => {
+        // SMTP 5xx replies and failed logins are permanent; 4xx and connection errors are worth retrying
+        if (err.code === 'EAUTH' || err.responseCode >= 500) err.retryable = false;
+        throw err;
+      });
+    },
+  };
+}
+
+const PAGERDUTY_SEVERITY = { CRITICAL: 'critical', HIGH: 'error', WARNING: 'warning', INFO: 'info' };
+
+function createPagerDutyChannel({
+  name = 'pagerduty',
+  routingKey,
+  chain = null,
+  url = 'https://events.pagerduty.com/v2/enqueue',
+}) {
+  if (!routingKey) throw new Error(`Channel "${name}": routingKey is required`);
+  return {
+    name,
+    type: 'pagerduty',
+    async send(type, data) {
+      if (type === 'INCIDENT_RESOLVED') {
+        await postJson(url, { routing_key: routingKey, event_action: 'resolve', dedup_key: data.incident_id });
+        return;
+      }
+      await postJson(url, {
+        routing_key: routingKey,
+        event_action: 'trigger',
+        dedup_key: dedupKey(chain, type, data),
+        payload: {
+          summary: alertSummary(chain, type, data),
+          source: `reorg-monitor${chain ? `/${chain}` : ''}`,
+          severity: PAGERDUTY_SEVERITY[data.severity] ?? 'error',
+          timestamp: new Date().toISOString(),
+          component: chain ?? undefined,
+          class: type,
+          custom_details: data,
+        },
+      });
+    },
+  };
 }
 
-// module.exports = { sendEmailAlert, sendTelegramAlert, sendAlert };
-module.exports = { sendTelegramAlert, sendAlert };
+const OPSGENIE_PRIORITY = { CRITICAL: 'P1', HIGH: 'P2', WARNING: 'P3', INFO: 'P5' };
 
+function createOpsgenieChannel({ name = 'opsgenie', apiKey, chain = null, apiUrl = OPSGENIE_API_URL }) {
+  if (!apiKey) throw new Error(`Channel "${name}": apiKey is required`);
+  const headers = { Authorization: `GenieKey ${apiKey}` };
+  const source = `reorg-monitor${chain ? `/${chain}` : ''}`;
+  return {
+    name,
+    type: 'opsgenie',
+    async send(type, data) {
+      if (type === 'INCIDENT_RESOLVED') {
+        const alias = encodeURIComponent(data.incident_id);
+        await postJson(`${apiUrl}/v2/alerts/${alias}/close?identifierType=alias`, {
+          source,
+          note: `Resolved after ${Math.round(data.duration_ms / 1000)}s: ${JSON.stringify(data.event_counts)}`,
+        }, { headers });
+        return;
+      }
+      // Opsgenie details are a flat string map
+      const details = Object.fromEntries(Object.entries(data).map(([key, value]) => [
+        key,
+        (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)).slice(0, 1000),
+      ]));
+      await postJson(`${apiUrl}/v2/alerts`, {
+        message: alertSummary(chain, type, data).slice(0, 130),
+        alias: dedupKey(chain, type, data),
+        description: JSON.stringify(data, null, 2).slice(0, 15000),
+        priority: OPSGENIE_PRIORITY[data.severity] ?? 'P3',
+        source,
+        tags: [chain, type].filter(Boolean),
+        details,
+      }, { headers });
+    },
+  };
+}
+
+function createTelegramChannel({
+  name = 'telegram',
+  botToken,
+  chatId,
+  proxyUrl = PROXY_URL,
+  chain = null,
+  chainName = null,
+  explorerUrl = null,
+}) {
+  if (!botToken || !chatId) throw new Error(`Channel "${name}": botToken and chatId are required`);
+  return {
+    name,
+    type: 'telegram',
+    async send(type, data) {
+      await postTelegramMessage({ botToken, chatId, proxyUrl }, formatTelegram(type, data, { chain, chainName, explorerUrl }));
+    },
+  };
+}
+
+const CHANNEL_FACTORIES = {
+  webhook: createWebhookChannel,
+  slack: createSlackChannel,
+  discord: createDiscordChannel,
+  telegram: createTelegramChannel,
+  feishu: createFeishuChannel,
+  lark: createFeishuChannel,
+  dingtalk: createDingTalkChannel,
+  wecom: createWeComChannel,
+  email: createEmailChannel,
+  pagerduty: createPagerDutyChannel,
+  opsgenie: createOpsgenieChannel,
+};
+
+// Channel types that page someone; the default routing only sends them CRITICAL events
+const PAGING_CHANNEL_TYPES = ['pagerduty', 'opsgenie'];
+
+function createChannel(name, config) {
+  const factory = CHANNEL_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(`Channel "${name}": unknown type "${config.type}". Known types: ${Object.keys(CHANNEL_FACTORIES).join(', ')}`);
+  }
+  return factory({ ...config, name });
+}
+
+// ALERT_WEBHOOK_URL gets the native format when it points at Slack or Discord
+function webhookTypeForUrl(url) {
+  const { host, pathname } = new URL(url);
+  if (host === 'hooks.slack.com') return 'slack';
+  if (/(^|\.)discord(app)?\.com$/.test(host) && pathname.startsWith('/api/webhooks/')) return 'discord';
+  return 'webhook';
+}
+
+/**
+ * Channels configured through the environment (ALERT_WEBHOOK_URL, TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID,
+ * FEISHU_WEBHOOK_URL, DINGTALK_WEBHOOK_URL, WECOM_WEBHOOK_URL, EMAIL_* with EMAIL_ALERTS=true,
+ * PAGERDUTY_ROUTING_KEY, OPSGENIE_API_KEY), used when no routing file is given.
+ */
+function createEnvChannels({
+  chain = null,
+  chainName = null,
+  explorerUrl = null,
+  webhookUrl = process.env.ALERT_WEBHOOK_URL,
+  telegramBotToken = TELEGRAM_BOT_TOKEN,
+  telegramChatId = TELEGRAM_CHAT_ID,
+  feishuWebhookUrl = FEISHU_WEBHOOK_URL,
+  feishuSecret = FEISHU_SECRET,
+  dingTalkWebhookUrl = DINGTALK_WEBHOOK_URL,
+  dingTalkSecret = DINGTALK_SECRET,
+  weComWebhookUrl = WECOM_WEBHOOK_URL,
+  email = EMAIL_ALERTS ? envEmailConfig() : null,
+  pagerDutyRoutingKey = PAGERDUTY_ROUTING_KEY,
+  opsgenieApiKey = OPSGENIE_API_KEY,
+} = {}) {
+  const context = { chain, chainName, explorerUrl };
+  const channels = {};
+  if (webhookUrl) {
+    channels.webhook = createChannel('webhook', { type: webhookTypeForUrl(webhookUrl), url: webhookUrl, ...context });
+  }
+  if (telegramBotToken && telegramChatId) {
+    channels.telegram = createTelegramChannel({ botToken: telegramBotToken, chatId: telegramChatId, ...context });
+  }
+  if (feishuWebhookUrl) channels.feishu = createFeishuChannel({ url: feishuWebhookUrl, secret: feishuSecret, ...context });
+  if (dingTalkWebhookUrl) channels.dingtalk = createDingTalkChannel({ url: dingTalkWebhookUrl, secret: dingTalkSecret, ...context });
+  if (weComWebhookUrl) channels.wecom = createWeComChannel({ url: weComWebhookUrl, ...context });
+  if (email) channels.email = createEmailChannel({ ...email, ...context });
+  if (pagerDutyRoutingKey) channels.pagerduty = createPagerDutyChannel({ routingKey: pagerDutyRoutingKey, chain });
+  if (opsgenieApiKey) channels.opsgenie = createOpsgenieChannel({ apiKey: opsgenieApiKey, chain });
+  return channels;
+}
+
+module.exports = {
+  createChannel,
+  createEnvChannels,
+  createWebhookChannel,
+  createSlackChannel,
+  createDiscordChannel,
+  createTelegramChannel,
+  createFeishuChannel,
+  createDingTalkChannel,
+  createWeComChannel,
+  createEmailChannel,
+  createPagerDutyChannel,
+  createOpsgenieChannel,
+  PAGING_CHANNEL_TYPES,
+};
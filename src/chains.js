@@ -0,0 +1,152 @@
+/**
+ * Chain Registry
+ *
+ * Every chain the reorg monitor knows about, keyed by the name passed to `--chain`.
+ * Each entry carries the viem chain definition plus the monitor defaults for that chain;
+ * environment variables (RPC_URL, POLL_INTERVAL_MS, ...) still override these at startup.
+ * An entry may also set `wsUrl` to enable `--transport ws` without WS_RPC_URL,
+ * and `rpcUrls` to cross-check several providers by default (see provider_quorum.js).
+ * `blockTimeMs` is the expected block time used for CHAIN_STALLED detection (null disables it).
+ * `watchlist` lists the wallets (`{ address, label }`) whose reorged transactions are alerted with high
+ * priority (see watchlist.js); WATCH_ADDRESSES replaces it.
+ * `severityPolicy` overrides the default severity rules for that chain (see severity.js).
+ * `explorerUrl` overrides the viem chain's default block explorer used for links in alerts.
+ */
+const { defineChain } = require('viem');
+const { foundry, base, arbitrum, optimism, bsc, polygon, avalanche } = require('viem/chains');
+
+// Define Monad Mainnet Chain
+const monadMainnet = defineChain({
+  id: 143,
+  name: 'Monad Mainnet',
+  nativeCurrency: {
+    decimals: 18,
+    name: 'Monad',
+    symbol: 'MON',
+  },
+  rpcUrls: {
+    default: { http: ['https://rpc.monad.xyz'] },
+  },
+  blockExplorers: {
+    default: { name: 'MonadScan', url: 'https://monadscan.com' },
+  },
+  testnet: false,
+});
+
+// Define Sei Chain (EVM)
+const sei = defineChain({
+  id: 1329,
+  name: 'Sei',
+  nativeCurrency: {
+    decimals: 18,
+    name: 'Sei',
+    symbol: 'SEI',
+  },
+  rpcUrls: {
+    default: { http: ['https://evm-rpc.sei-apis.com'] },
+  },
+  blockExplorers: {
+    default: { name: 'SeiTrace', url: 'https://seitrace.com' },
+  },
+});
+
+const DEFAULT_CHAIN = 'local';
+
+const CHAINS = {
+  local: {
+    name: 'Local Anvil',
+    chain: foundry,
+    rpcUrl: 'http://127.0.0.1:8545',
+    pollIntervalMs: 150,
+    blockTimeMs: null, // Anvil only mines on demand, so an idle tip is not a stall
+    recheckDepth: 16,
+    skipHistory: false,
+  },
+  monad: {
+    name: 'Monad Mainnet',
+    chain: monadMainnet,
+    rpcUrl: 'https://rpc.monad.xyz',
+    // 5000ms instead of the sub-second block time to avoid 429 rate limits on the public RPC
+    pollIntervalMs: 5000,
+    blockTimeMs: 400,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+  base: {
+    name: 'Base Mainnet',
+    chain: base,
+    rpcUrl: 'https://mainnet.base.org',
+    pollIntervalMs: 3000,
+    blockTimeMs: 2000,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+  arb: {
+    name: 'Arbitrum One',
+    chain: arbitrum,
+    rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    pollIntervalMs: 3000,
+    blockTimeMs: 250,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+  optimism: {
+    name: 'Optimism',
+    chain: optimism,
+    rpcUrl: 'https://mainnet.optimism.io',
+    pollIntervalMs: 3000,
+    blockTimeMs: 2000,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+  bsc: {
+    name: 'BSC',
+    chain: bsc,
+    rpcUrl: 'https://bsc-dataseed.binance.org',
+    pollIntervalMs: 3000,
+    blockTimeMs: 750,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+  polygon: {
+    name: 'Polygon',
+    chain: polygon,
+    rpcUrl: 'https://polygon-rpc.com',
+    pollIntervalMs: 3000,
+    blockTimeMs: 2000,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+  avalanche: {
+    name: 'Avalanche',
+    chain: avalanche,
+    rpcUrl: 'https://api.avax.network/ext/bc/C/rpc',
+    pollIntervalMs: 3000,
+    blockTimeMs: 2000,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+  sei: {
+    name: 'Sei',
+    chain: sei,
+    rpcUrl: 'https://evm-rpc.sei-apis.com',
+    pollIntervalMs: 3000,
+    blockTimeMs: 400,
+    recheckDepth: 16,
+    skipHistory: true,
+  },
+};
+
+/**
+ * Looks up a chain by registry key.
+ * Throws with the list of known chains so a typo in `--chain` fails loudly at startup.
+ */
+function getChainConfig(key = DEFAULT_CHAIN) {
+  const config = CHAINS[key];
+  if (!config) {
+    throw new Error(`Unknown chain "${key}". Known chains: ${Object.keys(CHAINS).join(', ')}`);
+  }
+  return { key, ...config, explorerUrl: config.explorerUrl ?? config.chain.blockExplorers?.default?.url ?? null };
+}
+
+module.exports = { CHAINS, DEFAULT_CHAIN, getChainConfig };
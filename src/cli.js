@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * reorg-monitor CLI
+ *
+ *   reorg-monitor run --chain monad [--hourly-report] [--transport ws] [--http-port 9464]
+ *   reorg-monitor events --chain monad [--type CHAIN_REWIND[,REORG]] [--since 24h] [--until <time>]
+ *                        [--limit 100] [--format table|json|csv]
+ *
+ * `events` reads the durable event store written by a running monitor (STATE_DIR/<chain>.events.jsonl).
+ * `--since` / `--until` take a duration (`15m`, `24h`, `7d`), epoch milliseconds or an ISO date.
+ */
+const { parseArgs } = require('node:util');
+const { getChainConfig, DEFAULT_CHAIN } = require('./chains');
+const { queryEvents, eventFilePath } = require('./event_store');
+const { parseSince } = require('./monitor_api');
+require('dotenv').config({ quiet: true });
+
+const FORMATS = ['table', 'json', 'csv'];
+const SUMMARY_WIDTH = 100;
+
+// Fields every record has; the rest is event-specific detail
+const RECORD_FIELDS = ['timestamp', 'chain', 'event_type', 'severity'];
+
+function summarize(record) {
+  const parts = Object.entries(record)
+    .filter(([key]) => !RECORD_FIELDS.includes(key))
+    .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+  const text = parts.join(' ');
+  return text.length > SUMMARY_WIDTH ? `${text.slice(0, SUMMARY_WIDTH - 1)}…` : text;
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function details(record) {
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !RECORD_FIELDS.includes(key)));
+}
+
+/**
+ * Renders event store records as an aligned text table, a JSON array, or CSV
+ * (`timestamp,chain,event_type,severity,data` with the event-specific fields as JSON in `data`).
+ */
+function formatEvents(records, format) {
+  if (format === 'json') return `${JSON.stringify(records, null, 2)}\n`;
+
+  if (format === 'csv') {
+    const rows = records.map(r => [r.timestamp, r.chain, r.event_type, r.severity, JSON.stringify(details(r))]);
+    return [['timestamp', 'chain', 'event_type', 'severity', 'data'], ...rows]
+      .map(row => row.map(csvField).join(','))
+      .join('\n') + '\n';
+  }
+
+  if (records.length === 0) return 'No events found.\n';
+  const rows = records.map(r => [r.timestamp, r.event_type, r.severity ?? '', summarize(r)]);
+  const header = ['TIMESTAMP', 'TYPE', 'SEVERITY', 'DETAILS'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+  return [header, ...rows]
+    .map(row => row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  '))
+    .join('\n') + '\n';
+}
+
+async function eventsCommand(argv, { stdout, stateDir, now }) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      chain: { type: 'string' },
+      type: { type: 'string', multiple: true },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      limit: { type: 'string' },
+      format: { type: 'string', default: 'table' },
+    },
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+  const parseTime = (name) => {
+    if (values[name] === undefined) return undefined;
+    const ms = parseSince(values[name], now());
+    if (ms === null) throw new Error(`Invalid --${name} "${values[name]}"`);
+    return ms;
+  };
+  const limit = values.limit !== undefined ? Number(values.limit) : undefined;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error(`Invalid --limit "${values.limit}"`);
+  }
+
+  const chain = getChainConfig(values.chain ?? process.env.CHAIN ?? DEFAULT_CHAIN);
+  const records = await queryEvents(eventFilePath(stateDir, chain.key), {
+    types: (values.type ?? []).flatMap(t => t.split(',')).map(t => t.trim()).filter(Boolean),
+    since: parseTime('since'),
+    until: parseTime('until'),
+    limit,
+  });
+  stdout.write(formatEvents(records, values.format));
+}
+
+function runCommand(argv) {
+  // Loaded here so `events` output is not preceded by anything the monitor prints on load
+  const { runFromCli, stopOnSignals } = require('./monitor_reorg');
+  stopOnSignals(runFromCli(argv));
+}
+
+const USAGE = `Usage:
+  reorg-monitor run --chain <chain> [--hourly-report] [--transport http|ws] [--http-port <port>]
+  reorg-monitor events --chain <chain> [--type <type>] [--since 24h] [--until <time>] [--limit <n>] [--format table|json|csv]
+`;
+
+async function main(argv = process.argv.slice(2), {
+  stdout = process.stdout,
+  stateDir = process.env.STATE_DIR ?? 'data',
+  now = () => Date.now(),
+} = {}) {
+  const [command, ...rest] = argv;
+  switch (command) {
+    case 'run':
+      return runCommand(rest);
+    case 'events':
+      return eventsCommand(rest, { stdout, stateDir, now });
+    default:
+      stdout.write(USAGE);
+      if (command !== undefined && command !== 'help' && command !== '--help') {
+        throw new Error(`Unknown command "${command}"`);
+      }
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, formatEvents };
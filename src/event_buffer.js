@@ -0,0 +1,48 @@
+/**
+ * Recent Event Buffer
+ *
+ * Keeps the last `capacity` monitor events in memory so a running monitor can be asked what it
+ * reported recently (`/events` in monitor_api.js) without scraping its stdout.
+ * `excludeTypes` keeps high-volume types (the event store's DEFAULT_EXCLUDED_TYPES in the monitor)
+ * from pushing everything else out of the buffer.
+ */
+function createEventBuffer({ capacity = 1000, excludeTypes = [], now = () => Date.now() } = {}) {
+  if (!(capacity > 0)) throw new Error('capacity must be positive');
+
+  const excluded = new Set(excludeTypes);
+
+  const entries = new Array(capacity);
+  let next = 0; // Slot the next event is written to
+  let count = 0;
+  let seq = 0;
+
+  function push(type, data) {
+    if (excluded.has(type)) return;
+    entries[next] = { seq: ++seq, timestamp_ms: now(), type, data };
+    next = (next + 1) % capacity;
+    count = Math.min(count + 1, capacity);
+  }
+
+  /**
+   * Oldest first. `type` filters by event type, `since` (epoch ms) keeps events at or after it,
+   * `limit` keeps only the newest N matches.
+   */
+  function query({ type, since, limit } = {}) {
+    const result = [];
+    for (let i = 0; i < count; i++) {
+      const entry = entries[(next - count + i + capacity) % capacity];
+      if (type && entry.type !== type) continue;
+      if (since !== undefined && entry.timestamp_ms < since) continue;
+      result.push(entry);
+    }
+    return limit !== undefined ? result.slice(Math.max(0, result.length - limit)) : result;
+  }
+
+  return {
+    push,
+    query,
+    size: () => count,
+  };
+}
+
+module.exports = { createEventBuffer };
@@ -0,0 +1,78 @@
+/**
+ * Durable Event Store
+ *
+ * Appends every monitor event to a JSON Lines file per chain (`STATE_DIR/<chain>.events.jsonl`,
+ * one `{ timestamp, chain, event_type, ...data }` record per line) so incidents can be reviewed
+ * later with `reorg-monitor events` (see cli.js) instead of grepping captured stdout.
+ * Appends are queued in order; `flush()` resolves once everything written so far is on disk.
+ */
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const readline = require('node:readline');
+
+// Per-block noise that would dwarf everything else in the file
+const DEFAULT_EXCLUDED_TYPES = ['BLOCK_RECEIVED', 'TICK_STATS'];
+
+function eventFilePath(dir, chainKey) {
+  return path.join(dir, `${chainKey}.events.jsonl`);
+}
+
+function createFileEventStore({
+  filePath,
+  chain = null,
+  excludeTypes = DEFAULT_EXCLUDED_TYPES,
+  now = () => Date.now(),
+  onError = () => {},
+} = {}) {
+  if (!filePath) throw new Error('filePath is required');
+
+  const excluded = new Set(excludeTypes);
+  let queue = fsp.mkdir(path.dirname(filePath), { recursive: true }).catch(onError);
+
+  function append(type, data) {
+    if (excluded.has(type)) return;
+    const line = JSON.stringify(
+      { timestamp: new Date(now()).toISOString(), chain, event_type: type, ...data },
+      (key, value) => (typeof value === 'bigint' ? value.toString() : value)
+    );
+    queue = queue.then(() => fsp.appendFile(filePath, `${line}\n`)).catch(onError);
+  }
+
+  function flush() {
+    return queue;
+  }
+
+  return { append, flush, filePath };
+}
+
+/**
+ * Reads events back from a store file, oldest first.
+ * `types` keeps only those event types, `since` / `until` (epoch ms) bound the timestamp,
+ * `limit` keeps only the newest N matches. A missing file yields no events.
+ */
+async function queryEvents(filePath, { types = [], since, until, limit } = {}) {
+  if (!fs.existsSync(filePath)) return [];
+
+  const wanted = new Set(types);
+  const result = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue; // A torn last line from a crash mid-append
+    }
+    if (wanted.size > 0 && !wanted.has(record.event_type)) continue;
+    const ts = Date.parse(record.timestamp);
+    if (since !== undefined && ts < since) continue;
+    if (until !== undefined && ts > until) continue;
+    result.push(record);
+    if (limit !== undefined && result.length > limit) result.shift();
+  }
+  return result;
+}
+
+module.exports = { createFileEventStore, queryEvents, eventFilePath, DEFAULT_EXCLUDED_TYPES };
@@ -1,6 +1,6 @@
 const https = require('https');
 const { HttpsProxyAgent } = require('https-proxy-agent');
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const PROXY_URL = process.env.HTTPS_PROXY || process.env.http_proxy;
@@ -0,0 +1,104 @@
+/**
+ * newHeads Subscription
+ *
+ * Subscribes to new block headers over a WebSocket client (`eth_subscribe` via viem's watchBlocks)
+ * and re-subscribes with exponential backoff whenever the socket errors or goes quiet.
+ * The owner is told about connectivity changes so it can fall back to HTTP polling while the socket is down.
+ */
+function createHeadSubscription({
+  client,
+  onHead,
+  onStatusChange = () => {},
+  resubscribeDelayMs = 1000,
+  maxResubscribeDelayMs = 30_000,
+  headTimeoutMs = 30_000, // No head for this long counts as a dead socket
+} = {}) {
+  if (!client) throw new Error('client is required');
+  if (!onHead) throw new Error('onHead is required');
+
+  let unwatch = null;
+  let retryTimer = null;
+  let headTimer = null;
+  let connected = false;
+  let stopped = true;
+  let delayMs = resubscribeDelayMs;
+
+  function armHeadTimeout() {
+    clearTimeout(headTimer);
+    if (headTimeoutMs > 0) {
+      headTimer = setTimeout(() => {
+        handleDisconnect(new Error(`No newHeads received for ${headTimeoutMs}ms`));
+      }, headTimeoutMs);
+    }
+  }
+
+  function handleHead(head) {
+    if (stopped) return;
+    armHeadTimeout();
+    if (!connected) {
+      connected = true;
+      delayMs = resubscribeDelayMs;
+      onStatusChange({ connected: true });
+    }
+    onHead(head);
+  }
+
+  function handleDisconnect(err) {
+    if (stopped) return;
+    clearTimeout(headTimer);
+    if (unwatch) {
+      try {
+        unwatch();
+      } catch {
+        // The socket is already gone; nothing left to unsubscribe
+      }
+      unwatch = null;
+    }
+    if (connected) {
+      connected = false;
+      onStatusChange({ connected: false, error: err });
+    }
+
+    // Resubscribe with backoff
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(subscribe, delayMs);
+    delayMs = Math.min(delayMs * 2, maxResubscribeDelayMs);
+  }
+
+  function subscribe() {
+    if (stopped) return;
+    try {
+      unwatch = client.watchBlocks({
+        poll: false,
+        includeTransactions: false,
+        onBlock: handleHead,
+        onError: handleDisconnect,
+      });
+      armHeadTimeout();
+    } catch (err) {
+      handleDisconnect(err);
+    }
+  }
+
+  function start() {
+    stopped = false;
+    subscribe();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(retryTimer);
+    clearTimeout(headTimer);
+    if (unwatch) unwatch();
+    unwatch = null;
+    connected = false;
+  }
+
+  return {
+    start,
+    stop,
+    isConnected: () => connected,
+  };
+}
+
+module.exports = { createHeadSubscription };
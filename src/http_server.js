@@ -0,0 +1,45 @@
+/**
+ * Monitor HTTP Server
+ *
+ * Serves read-only endpoints from the monitor process. `routes` maps a path to a handler
+ * `(url) => { status, contentType, body }`; unknown paths get a 404 and only GET is accepted.
+ */
+const http = require('node:http');
+
+function createHttpServer({ port, host = '0.0.0.0', routes = {}, onError = () => {} } = {}) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const handler = routes[url.pathname];
+
+    let response;
+    if (req.method !== 'GET') {
+      response = { status: 405, body: 'Method Not Allowed\n' };
+    } else if (!handler) {
+      response = { status: 404, body: 'Not Found\n' };
+    } else {
+      try {
+        response = await handler(url);
+      } catch (err) {
+        onError(err);
+        response = { status: 500, body: 'Internal Server Error\n' };
+      }
+    }
+
+    res.writeHead(response.status ?? 200, { 'Content-Type': response.contentType ?? 'text/plain; charset=utf-8' });
+    res.end(response.body);
+  });
+
+  return {
+    server,
+    listen: () => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server.address().port);
+      });
+    }),
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
+
+module.exports = { createHttpServer };
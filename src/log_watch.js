@@ -0,0 +1,90 @@
+/**
+ * Watched Contract Logs
+ *
+ * Compares the logs of a replaced block with those of its replacement, restricted to the
+ * configured contract addresses and event signatures, and decodes what was removed and added
+ * so indexers can roll back exactly the events that changed (see LOGS_REORGED).
+ */
+const { parseAbiItem, decodeEventLog } = require('viem');
+
+/**
+ * Parses "Transfer(address indexed from, address indexed to, uint256 value)" (the leading
+ * `event` keyword is optional) into a viem ABI event item.
+ */
+function parseEventSignature(signature) {
+  const trimmed = signature.trim();
+  const item = parseAbiItem(trimmed.startsWith('event ') ? trimmed : `event ${trimmed}`);
+  if (item.type !== 'event') throw new Error(`Not an event signature: "${signature}"`);
+  return item;
+}
+
+// Decoded args as JSON-safe values (uint256 amounts become decimal strings)
+function toJsonSafe(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonSafe);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonSafe(v)]));
+  }
+  return value;
+}
+
+// Identity of a log independent of its position in the block, so re-ordered logs are not reported as changed
+function logKey(log) {
+  return [log.transactionHash, log.address.toLowerCase(), ...log.topics, log.data].join(':');
+}
+
+function createLogWatcher({ contracts = [], events = [] } = {}) {
+  const addresses = contracts.map(a => a.toLowerCase());
+  const abi = events.map(e => (typeof e === 'string' ? parseEventSignature(e) : e));
+
+  function decode(log) {
+    const entry = {
+      address: log.address,
+      transaction_hash: log.transactionHash,
+      log_index: log.logIndex ?? null,
+      event: null,
+      args: null
+    };
+    try {
+      const decoded = decodeEventLog({ abi, topics: log.topics, data: log.data, strict: false });
+      entry.event = decoded.eventName;
+      entry.args = toJsonSafe(decoded.args);
+    } catch {
+      // Not one of the configured signatures: keep the raw log so nothing is silently lost
+      entry.topics = log.topics;
+      entry.data = log.data;
+    }
+    return entry;
+  }
+
+  /**
+   * Fetches the watched logs of one block by hash through `getLogs` (the client's eth_getLogs).
+   */
+  function fetchLogs(getLogs, blockHash) {
+    return getLogs({
+      blockHash,
+      address: addresses.length > 0 ? addresses : undefined,
+      events: abi.length > 0 ? abi : undefined
+    });
+  }
+
+  /**
+   * Returns the decoded logs present only in the old block (`removed`) or only in the new one (`added`).
+   */
+  function diffLogs(oldLogs, newLogs) {
+    const oldKeys = new Set(oldLogs.map(logKey));
+    const newKeys = new Set(newLogs.map(logKey));
+    return {
+      removed: oldLogs.filter(log => !newKeys.has(logKey(log))).map(decode),
+      added: newLogs.filter(log => !oldKeys.has(logKey(log))).map(decode)
+    };
+  }
+
+  return {
+    enabled: addresses.length > 0 || abi.length > 0,
+    fetchLogs,
+    diffLogs,
+  };
+}
+
+module.exports = { createLogWatcher, parseEventSignature };
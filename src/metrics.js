@@ -0,0 +1,133 @@
+/**
+ * Prometheus Metrics
+ *
+ * A minimal registry (counters, gauges, histograms with labels) rendered in the Prometheus
+ * text exposition format, plus the monitor's metric set. Served on `/metrics` by http_server.js.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',')}}`;
+}
+
+function createMetricsRegistry() {
+  const metrics = new Map(); // name -> { type, help, series: Map(labelKey -> { labels, ... }) }
+
+  function register(type, name, help) {
+    if (metrics.has(name)) throw new Error(`Metric "${name}" is already registered`);
+    const metric = { type, help, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, init) {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+    return metric.series.get(key);
+  }
+
+  function counter(name, help) {
+    const metric = register('counter', name, help);
+    return {
+      inc: (labels = {}, value = 1) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  function gauge(name, help) {
+    const metric = register('gauge', name, help);
+    return {
+      set: (labels = {}, value) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help);
+    const bounds = [...buckets].sort((a, b) => a - b);
+    metric.bounds = bounds;
+    return {
+      observe: (labels = {}, value) => {
+        const series = seriesFor(metric, labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+        bounds.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+    for (const [name, metric] of metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+        const bounds = metric.bounds;
+        series.counts.forEach((count, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bounds[i] })} ${count}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+/**
+ * The metrics one monitor reports, all labelled with `chain`.
+ * The monitor feeds it every emitted event, every RPC call and a summary at the end of each tick.
+ */
+function createMonitorMetrics({ registry = createMetricsRegistry(), chain = 'unknown' } = {}) {
+  const labels = { chain };
+  const events = registry.counter('reorg_monitor_events_total', 'Monitor events emitted, by event type');
+  const latestHeight = registry.gauge('reorg_monitor_latest_height', 'Latest block height reported by the RPC');
+  const processedHeight = registry.gauge('reorg_monitor_processed_height', 'Highest block height processed');
+  const finalizedHeight = registry.gauge('reorg_monitor_finalized_height', 'Latest finalized block height');
+  const cacheSize = registry.gauge('reorg_monitor_block_cache_size', 'Blocks held in the reorg detection cache');
+  const reorgDepth = registry.histogram('reorg_monitor_reorg_depth', 'Blocks replaced per REORG', [1, 2, 3, 4, 5, 8, 16, 32, 64]);
+  const rpcCalls = registry.counter('reorg_monitor_rpc_calls_total', 'RPC calls made, by method');
+  const rpcErrors = registry.counter('reorg_monitor_rpc_errors_total', 'RPC calls that failed, by method');
+  const rpcDuration = registry.histogram('reorg_monitor_rpc_duration_seconds', 'RPC call latency, by method');
+  const tickDuration = registry.histogram('reorg_monitor_tick_duration_seconds', 'Duration of one detection pass');
+
+  return {
+    registry,
+    recordEvent(type, data) {
+      events.inc({ ...labels, type });
+      if (type === 'REORG') reorgDepth.observe(labels, data.depth);
+    },
+    recordRpc(method, durationMs, failed) {
+      rpcCalls.inc({ ...labels, method });
+      if (failed) rpcErrors.inc({ ...labels, method });
+      rpcDuration.observe({ ...labels, method }, durationMs / 1000);
+    },
+    recordTick({ durationMs, latest, processed, finalized, cached }) {
+      tickDuration.observe(labels, durationMs / 1000);
+      if (latest !== null) latestHeight.set(labels, latest);
+      if (processed >= 0) processedHeight.set(labels, processed);
+      if (finalized !== null) finalizedHeight.set(labels, finalized);
+      cacheSize.set(labels, cached);
+    },
+  };
+}
+
+module.exports = { createMetricsRegistry, createMonitorMetrics };
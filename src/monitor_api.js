@@ -0,0 +1,100 @@
+/**
+ * Monitor HTTP API
+ *
+ * Routes served by a running monitor (see http_server.js):
+ *   GET /healthz                   200 while blocks keep being processed, 503 with reasons otherwise
+ *   GET /state                     current heights, chain id, genesis hash and cache window
+ *   GET /events?type=&since=&limit= recent events from the in-memory ring buffer, oldest first
+ *   GET /metrics                   Prometheus metrics
+ */
+
+const DURATION_UNITS_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * Parses a `since` value into epoch ms: a relative duration ("90s", "15m", "24h", "7d"),
+ * epoch milliseconds, or an ISO date. Returns null when it is none of those.
+ */
+function parseSince(value, nowMs = Date.now()) {
+  const relative = /^(\d+)([smhd])$/.exec(value);
+  if (relative) return nowMs - Number(relative[1]) * DURATION_UNITS_MS[relative[2]];
+  if (/^\d+$/.test(value)) return Number(value);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function json(status, payload) {
+  return {
+    status,
+    contentType: 'application/json; charset=utf-8',
+    body: JSON.stringify(payload, (key, value) => (typeof value === 'bigint' ? value.toString() : value)),
+  };
+}
+
+function createMonitorRoutes({ monitor, chain = null, metrics = null, eventBuffer = null, now = () => Date.now() }) {
+  const routes = {
+    '/healthz': () => {
+      const health = monitor.getHealth();
+      return json(health.healthy ? 200 : 503, { status: health.healthy ? 'ok' : 'unhealthy', ...health });
+    },
+
+    '/state': () => {
+      const state = monitor.getState();
+      const heights = [...state.blockCache.keys()];
+      return json(200, {
+        chain: chain?.key ?? null,
+        chain_name: chain?.name ?? null,
+        chain_id: state.lastChainId,
+        genesis_hash: state.lastGenesisHash,
+        latest_height: state.lastLatestHeight,
+        processed_height: state.lastProcessedHeight,
+        max_observed_height: state.maxObservedHeight,
+        safe_height: state.lastSafeHeight,
+        finalized_height: state.lastFinalizedHeight,
+        finality_lag: state.finalityLag,
+        cache: {
+          size: heights.length,
+          from_height: heights.length > 0 ? Math.min(...heights) : null,
+          to_height: heights.length > 0 ? Math.max(...heights) : null,
+        },
+        dropped_transactions: state.droppedTransactions.length,
+        open_incidents: state.openIncidents,
+        alert_deliveries: state.alertDeliveries,
+        last_tick: state.lastTickStats,
+      });
+    },
+  };
+
+  if (eventBuffer) {
+    routes['/events'] = (url) => {
+      const type = url.searchParams.get('type') || undefined;
+      const sinceParam = url.searchParams.get('since');
+      const limitParam = url.searchParams.get('limit');
+
+      const since = sinceParam ? parseSince(sinceParam, now()) : undefined;
+      if (since === null) return json(400, { error: `Invalid since "${sinceParam}"` });
+      const limit = limitParam ? Number(limitParam) : undefined;
+      if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+        return json(400, { error: `Invalid limit "${limitParam}"` });
+      }
+
+      const events = eventBuffer.query({ type, since, limit }).map(entry => ({
+        seq: entry.seq,
+        timestamp: new Date(entry.timestamp_ms).toISOString(),
+        event_type: entry.type,
+        ...entry.data,
+      }));
+      return json(200, { count: events.length, events });
+    };
+  }
+
+  if (metrics) {
+    routes['/metrics'] = () => ({
+      contentType: 'text/plain; version=0.0.4; charset=utf-8',
+      body: metrics.registry.render(),
+    });
+  }
+
+  return routes;
+}
+
+module.exports = { createMonitorRoutes, parseSince };
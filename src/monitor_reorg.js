@@ -1,21 +1,190 @@
-const { createPublicClient, http } = require('viem');
-const { foundry } = require('viem/chains');
-const { sendAlert } = require('./alert_send');
-require('dotenv').config();
+/**
+ * Multi-Chain Reorg Monitor
+ *
+ * One detection engine for every chain in `src/chains.js`. Pick the chain by name:
+ *
+ *   node src/monitor_reorg.js --chain monad
+ *   npx pm2 start src/monitor_reorg.js --name base-monitor -- --chain base
+ *
+ * The chain can also be set with the CHAIN environment variable; it defaults to a local Anvil node.
+ * RPC_URL, POLL_INTERVAL_MS, RECHECK_DEPTH, EXPECTED_BLOCK_TIME_MS and MONITOR_SKIP_HISTORY override the registry defaults.
+ * Pass `--hourly-report` to emit an HOURLY_REPORT threat summary every HOURLY_REPORT_INTERVAL_MS.
+ *
+ * Pass `--transport ws` (or MONITOR_TRANSPORT=ws) with WS_RPC_URL to subscribe to newHeads instead of polling;
+ * HTTP polling takes over automatically while the socket is down.
+ *
+ * Set RPC_URLS to a comma-separated list to cross-check several providers: blocks are only accepted when
+ * RPC_QUORUM of them agree (default: majority) and PROVIDER_DIVERGENCE is emitted when they report different hashes.
+ *
+ * Detection state is persisted to STATE_DIR/<chain>.state.json (default `data/`) and restored on start,
+ * so reorgs that happen while the monitor is down are reported once it comes back. Set STATE_DIR=off to disable.
+ * Events are also appended to STATE_DIR/<chain>.events.jsonl; query them with `reorg-monitor events` (cli.js).
+ *
+ * Set WATCH_CONTRACTS (comma-separated addresses) and/or WATCH_EVENTS (semicolon-separated event signatures)
+ * to get LOGS_REORGED with the decoded events removed and added by each reorg.
+ *
+ * Set WATCH_ADDRESSES (`label=0xaddress,...`) to raise WATCHLIST_REORG_IMPACT when a reorg drops or adds
+ * transactions touching those wallets; it overrides the chain's `watchlist` in chains.js.
+ *
+ * Set HTTP_PORT (or pass `--http-port`) to serve `/metrics` (Prometheus), `/healthz`, `/state` and
+ * `/events?type=&since=` from the monitor process (see monitor_api.js).
+ *
+ * Severities come from the policy in severity.js (per event type, escalated by reorg depth and finality).
+ * Alerts are routed to channels by chain, event type and severity with the rules in ALERT_ROUTES_FILE
+ * (see alert_router.js); without it, events at ALERT_MIN_SEVERITY (default HIGH) or above go to
+ * ALERT_WEBHOOK_URL and the Telegram bot, when configured. Related alerts are grouped into incidents
+ * (alert_incidents.js): one notification when an incident opens, one INCIDENT_RESOLVED summary after
+ * ALERT_COOLDOWN_MS without further events. Alerts are queued on disk (STATE_DIR/<chain>.alerts.json) and
+ * retried with backoff; ALERT_DELIVERY_FAILED is emitted once a channel's retries are used up.
+ *
+ * Logs are output to stdout in JSON format for easy ingestion by logging systems (e.g., Datadog, ELK).
+ */
+const { parseArgs } = require('node:util');
+const { createPublicClient, http, webSocket, decodeFunctionData, erc20Abi } = require('viem');
+const fs = require('node:fs');
+const path = require('node:path');
+const { getChainConfig, DEFAULT_CHAIN } = require('./chains');
+const { createFileStateStore } = require('./state_store');
+const { createHeadSubscription } = require('./head_subscription');
+const { createQuorumClient } = require('./provider_quorum');
+const { createTickScheduler } = require('./tick_scheduler');
+const { createDroppedTxTracker } = require('./tx_tracker');
+const { createLogWatcher } = require('./log_watch');
+const { createWatchlist, parseWatchlist } = require('./watchlist');
+const { createMonitorMetrics } = require('./metrics');
+const { createHttpServer } = require('./http_server');
+const { createEventBuffer } = require('./event_buffer');
+const { createMonitorRoutes } = require('./monitor_api');
+const { createFileEventStore, eventFilePath, DEFAULT_EXCLUDED_TYPES } = require('./event_store');
+const { createSeverityPolicy, severityRank } = require('./severity');
+const { createEnvChannels } = require('./alert_send');
+const { createAlertRouterFromConfig, createDefaultAlertRouter, loadAlertRoutes } = require('./alert_router');
+const { createAlertIncidents } = require('./alert_incidents');
+const { createAlertQueue } = require('./alert_queue');
+require('dotenv').config({ quiet: true });
+
+// RPC errors meaning the node does not know the safe/finalized tags, as opposed to a transient failure
+const UNSUPPORTED_TAG_ERROR = /invalid params|invalid argument|invalid block tag|unknown block|unsupported|not supported/i;
+const FINALITY_MAX_FAILURES = 5; // Failed attempts, before the tags ever answered, after which tracking is turned off
+const STATE_HASH_CHAIN_DEPTH = 64; // Heights below the recheck window saved as hashes only, for tracing a fork after a restart
+
+function parseIntEnv(name) {
+  const value = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+function parseBoolEnv(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  return value === 'true' || value === '1';
+}
 
 // Configuration: Load Environment Variables
-const RPC_URL = process.env.RPC_URL ?? 'http://127.0.0.1:8545';
-const POLL_INTERVAL_MS = Number.parseInt(process.env.POLL_INTERVAL_MS ?? '', 10) || 150;
-const RECHECK_DEPTH = Number.parseInt(process.env.RECHECK_DEPTH ?? '', 10) || 16;
-const CACHE_DEPTH = Number.parseInt(process.env.CACHE_DEPTH ?? '', 10) || 2048;
-const CHAIN_METADATA_POLL_MS = Number.parseInt(process.env.CHAIN_METADATA_POLL_MS ?? '', 10) || 10_000;
+// Unset values fall back to the selected chain's registry entry (see runFromCli).
+const RPC_URL = process.env.RPC_URL;
+const RPC_URLS = process.env.RPC_URLS?.split(',').map(url => url.trim()).filter(Boolean);
+const RPC_QUORUM = parseIntEnv('RPC_QUORUM');
+const WS_RPC_URL = process.env.WS_RPC_URL;
+const TRANSPORT_MODE = process.env.MONITOR_TRANSPORT;
+const POLL_INTERVAL_MS = parseIntEnv('POLL_INTERVAL_MS');
+const RECHECK_DEPTH = parseIntEnv('RECHECK_DEPTH');
+const SKIP_HISTORY = parseBoolEnv('MONITOR_SKIP_HISTORY');
+const ADAPTIVE_POLL_INTERVAL = parseBoolEnv('ADAPTIVE_POLL_INTERVAL') ?? false;
+const MAX_POLL_INTERVAL_MS = parseIntEnv('MAX_POLL_INTERVAL_MS');
+const EXPECTED_BLOCK_TIME_MS = parseIntEnv('EXPECTED_BLOCK_TIME_MS');
+const STALL_THRESHOLD_BLOCKS = parseIntEnv('STALL_THRESHOLD_BLOCKS') || 10;
+const MAX_FUTURE_DRIFT_MS = parseIntEnv('MAX_FUTURE_DRIFT_MS') || 15_000;
+const BLOCK_INTERVAL_FACTOR = parseIntEnv('BLOCK_INTERVAL_FACTOR') || 5;
+const BLOCK_INTERVAL_WINDOW = parseIntEnv('BLOCK_INTERVAL_WINDOW') || 100;
+const CACHE_DEPTH = parseIntEnv('CACHE_DEPTH') || 2048;
+const CHAIN_METADATA_POLL_MS = parseIntEnv('CHAIN_METADATA_POLL_MS') || 10_000;
+const DROPPED_TX_FOLLOW_BLOCKS = parseIntEnv('DROPPED_TX_FOLLOW_BLOCKS') || 64;
+const WATCH_CONTRACTS = process.env.WATCH_CONTRACTS?.split(',').map(a => a.trim()).filter(Boolean) ?? [];
+const WATCH_ADDRESSES = process.env.WATCH_ADDRESSES ? parseWatchlist(process.env.WATCH_ADDRESSES) : undefined;
+// Event signatures contain commas, so they are separated by semicolons
+const WATCH_EVENTS = process.env.WATCH_EVENTS?.split(';').map(e => e.trim()).filter(Boolean) ?? [];
+const HOURLY_REPORT_INTERVAL_MS = parseIntEnv('HOURLY_REPORT_INTERVAL_MS') || 3600 * 1000;
+const STATE_DIR = process.env.STATE_DIR ?? 'data';
+const EVENT_STORE_EXCLUDE = process.env.EVENT_STORE_EXCLUDE?.split(',').map(t => t.trim()).filter(Boolean);
+const STATE_SAVE_INTERVAL_MS = parseIntEnv('STATE_SAVE_INTERVAL_MS') ?? 5000;
 const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL;
+const ALERT_MIN_SEVERITY = process.env.ALERT_MIN_SEVERITY ?? 'HIGH';
+const ALERT_ROUTES_FILE = process.env.ALERT_ROUTES_FILE;
+const ALERT_COOLDOWN_MS = parseIntEnv('ALERT_COOLDOWN_MS') ?? 300_000;
+const ALERT_RESOLVE_AFTER_BLOCKS = parseIntEnv('ALERT_RESOLVE_AFTER_BLOCKS') ?? 0;
+const ALERT_MAX_ATTEMPTS = parseIntEnv('ALERT_MAX_ATTEMPTS') || 8;
+const ALERT_RETRY_BASE_MS = parseIntEnv('ALERT_RETRY_BASE_MS') || 5000;
+const SEVERITY_POLICY_FILE = process.env.SEVERITY_POLICY_FILE;
+const HTTP_PORT = parseIntEnv('HTTP_PORT');
+const HTTP_HOST = process.env.HTTP_HOST ?? '0.0.0.0';
+const EVENT_BUFFER_SIZE = parseIntEnv('EVENT_BUFFER_SIZE') || 1000;
+const HEALTH_MAX_BLOCK_AGE_MS = (parseIntEnv('HEALTH_MAX_BLOCK_AGE_SEC') || 120) * 1000;
+const HEALTH_MAX_ERROR_TICKS = parseIntEnv('HEALTH_MAX_ERROR_TICKS') || 5;
+
+// Hourly threat assessment -> alert severity
+const THREAT_SEVERITY = { MEDIUM: 'WARNING', HIGH: 'HIGH', CRITICAL: 'CRITICAL' };
+
+function diffTransactions(oldTxs, newTxs) {
+  const oldSet = new Set(oldTxs);
+  const newSet = new Set(newTxs);
+  return {
+    dropped: oldTxs.filter(tx => !newSet.has(tx)),
+    added: newTxs.filter(tx => !oldSet.has(tx))
+  };
+}
+
+const ERC20_TRANSFER_SELECTOR = '0xa9059cbb';
+const ERC20_TRANSFER_FROM_SELECTOR = '0x23b872dd';
+
+// Token movement of an ERC-20 transfer/transferFrom call, or null for anything else
+function decodeTokenTransfer(tx) {
+  const selector = tx.input?.slice(0, 10);
+  if (selector !== ERC20_TRANSFER_SELECTOR && selector !== ERC20_TRANSFER_FROM_SELECTOR) return null;
+  try {
+    const { functionName, args } = decodeFunctionData({ abi: erc20Abi, data: tx.input });
+    const [from, to, amount] = functionName === 'transfer' ? [tx.from, ...args] : args;
+    return { token: tx.to, from: from?.toLowerCase() ?? null, to: to.toLowerCase(), amount: amount.toString() };
+  } catch {
+    return null;
+  }
+}
+
+// Sender, nonce and transfer of each transaction, kept in the cache for the recheck window so a reorg
+// can be checked for double spends and watched addresses without refetching the old branch
+function summarizeTransaction(tx) {
+  return {
+    hash: tx.hash,
+    from: tx.from?.toLowerCase() ?? null,
+    nonce: tx.nonce ?? null,
+    to: tx.to ?? null,
+    value: tx.value?.toString() ?? null,
+    tokenTransfer: decodeTokenTransfer(tx)
+  };
+}
+
+/**
+ * Pairs dropped transactions with added ones from the same sender and nonce.
+ * Both sides are `{ height, blockHash, tx }` where `tx` is a summary from summarizeTransaction.
+ */
+function findDoubleSpends(dropped, added) {
+  const bySenderNonce = new Map();
+  for (const entry of added) {
+    if (entry.tx.from === null || entry.tx.nonce === null) continue;
+    bySenderNonce.set(`${entry.tx.from}:${entry.tx.nonce}`, entry);
+  }
+
+  const pairs = [];
+  for (const entry of dropped) {
+    const replacement = bySenderNonce.get(`${entry.tx.from}:${entry.tx.nonce}`);
+    if (replacement && replacement.tx.hash !== entry.tx.hash) pairs.push({ dropped: entry, replacement });
+  }
+  return pairs;
+}
 
 function defaultLogJson(type, data) {
   const isCritical = data.severity === 'CRITICAL';
   if (isCritical) {
     console.error(`\x1b[31m🚨 CRITICAL ALERT: ${type} 🚨\x1b[0m`);
-    sendAlert(type, data);
   }
   const logFn = isCritical ? console.error : console.log;
   logFn(JSON.stringify({
@@ -31,42 +200,155 @@ function defaultLogJson(type, data) {
  */
 function createMonitor({
   client,
-  logJson = defaultLogJson,
-  pollIntervalMs = POLL_INTERVAL_MS,
-  recheckDepth = RECHECK_DEPTH,
+  wsClient = null, // WebSocket client; when set, newHeads drive ticks and polling is only the fallback
+  chain = null, // Registry entry from chains.js, used for log context
+  rpcUrl = RPC_URL,
+  logJson: writeLog = defaultLogJson,
+  pollIntervalMs = POLL_INTERVAL_MS ?? 150,
+  adaptivePollInterval = ADAPTIVE_POLL_INTERVAL, // Widen the poll interval while ticks keep overrunning it
+  maxPollIntervalMs = MAX_POLL_INTERVAL_MS ?? pollIntervalMs * 8,
+  overrunThreshold = 3, // Consecutive overrunning ticks before TICK_OVERRUN
+  droppedTxFollowBlocks = DROPPED_TX_FOLLOW_BLOCKS, // Blocks to wait for a dropped tx to be re-included
+  watchContracts = WATCH_CONTRACTS, // Contract addresses whose logs are compared on reorg
+  watchEvents = WATCH_EVENTS, // Event signatures (or viem ABI event items) to filter and decode
+  watchAddresses = WATCH_ADDRESSES ?? [], // Wallets whose reorged transactions raise WATCHLIST_REORG_IMPACT
+  expectedBlockTimeMs = EXPECTED_BLOCK_TIME_MS ?? null, // null disables stall detection
+  stallThresholdBlocks = STALL_THRESHOLD_BLOCKS, // Missed blocks before CHAIN_STALLED
+  maxFutureDriftMs = MAX_FUTURE_DRIFT_MS, // How far a block timestamp may run ahead of the local clock
+  blockIntervalFactor = BLOCK_INTERVAL_FACTOR, // Interval this many times off the baseline is anomalous
+  blockIntervalWindow = BLOCK_INTERVAL_WINDOW, // Intervals kept for the rolling baseline
+  recheckDepth = RECHECK_DEPTH ?? 16,
   cacheDepth = CACHE_DEPTH,
   chainMetadataPollMs = CHAIN_METADATA_POLL_MS,
+  skipHistory = SKIP_HISTORY ?? false,
+  trackFinality = true, // Poll `safe`/`finalized` heads; disabled automatically if the RPC rejects the tags
+  hourlyReportIntervalMs = 0, // 0 disables the hourly threat report
+  stateStore = null, // { load, save } from state_store.js; null keeps state in memory only
+  stateSaveIntervalMs = STATE_SAVE_INTERVAL_MS,
   alertWebhookUrl = ALERT_WEBHOOK_URL,
+  alertMinSeverity = ALERT_MIN_SEVERITY, // Events at or above this severity go to the alert webhook
+  alertRouter = null, // createAlertRouter() from alert_router.js; defaults to the webhook/Telegram env channels
+  alertCooldownMs = ALERT_COOLDOWN_MS, // Quiet time before an incident resolves; 0 sends every alert on its own
+  alertResolveAfterBlocks = ALERT_RESOLVE_AFTER_BLOCKS, // Healthy blocks after an incident's last event before it resolves
+  alertQueueStore = null, // { load, save } from state_store.js for the alert delivery queue; null keeps it in memory
+  alertMaxAttempts = ALERT_MAX_ATTEMPTS, // Delivery attempts per channel before ALERT_DELIVERY_FAILED
+  alertRetryBaseMs = ALERT_RETRY_BASE_MS, // First retry delay, doubled after every failed attempt
+  severityPolicy = createSeverityPolicy(), // createSeverityPolicy() from severity.js
+  getHttpRequestCount = null, // () => cumulative HTTP requests made by the transport, for TICK_STATS
+  metrics = null, // createMonitorMetrics() from metrics.js; null disables metric collection
+  eventBuffer = null, // createEventBuffer() from event_buffer.js; keeps recent events for the HTTP API
+  eventStore = null, // createFileEventStore() from event_store.js; null keeps events on stdout only
+  healthMaxBlockAgeMs = HEALTH_MAX_BLOCK_AGE_MS, // Unhealthy when no new block was processed for this long
+  healthMaxErrorTicks = HEALTH_MAX_ERROR_TICKS, // Unhealthy after this many consecutive ticks with RPC errors
   now = () => Date.now(),
 } = {}) {
   if (!client) throw new Error('client is required');
+  if (severityRank(alertMinSeverity) === -1) throw new Error(`Unknown alertMinSeverity "${alertMinSeverity}"`);
+  alertRouter ??= createDefaultAlertRouter({
+    chain: chain?.key ?? null,
+    channels: createEnvChannels({
+      chain: chain?.key ?? null,
+      chainName: chain?.name ?? null,
+      explorerUrl: chain?.explorerUrl ?? null,
+      webhookUrl: alertWebhookUrl,
+    }),
+    minSeverity: alertMinSeverity,
+  });
+
+  const alertQueue = createAlertQueue({
+    store: alertQueueStore,
+    maxAttempts: alertMaxAttempts,
+    baseDelayMs: alertRetryBaseMs,
+    now,
+    send: async (channel, type, event) => {
+      const [result] = await alertRouter.sendTo([channel], type, event);
+      if (!result.ok) throw result.error;
+    },
+    onAttemptFailed: entry => logJson("ALERT_DELIVERY_ERROR", {
+      alert_type: entry.type,
+      channel: entry.channel,
+      attempt: entry.attempts,
+      next_attempt_at: new Date(entry.next_attempt_at).toISOString(),
+      error: entry.last_error,
+    }),
+    onFailed: (entry) => {
+      const data = {
+        alert_id: entry.alert_id,
+        alert_type: entry.type,
+        channel: entry.channel,
+        attempts: entry.attempts,
+        first_attempt_at: new Date(entry.created_at).toISOString(),
+        error: entry.last_error,
+      };
+      // A lost ALERT_DELIVERY_FAILED is only recorded, so two broken channels cannot keep paging each other
+      if (entry.type === "ALERT_DELIVERY_FAILED") {
+        recordEvent("ALERT_DELIVERY_FAILED", { ...data, severity: severityPolicy.evaluate("ALERT_DELIVERY_FAILED", data) });
+      } else {
+        logJson("ALERT_DELIVERY_FAILED", data);
+      }
+    },
+    onError: err => recordEvent("ALERT_QUEUE_ERROR", { error: err.message }),
+  });
+
+  const alertIncidents = alertCooldownMs > 0
+    ? createAlertIncidents({
+      chain: chain?.key ?? null,
+      router: alertRouter,
+      deliver: deliverAlert,
+      cooldownMs: alertCooldownMs,
+      resolveAfterBlocks: alertResolveAfterBlocks,
+      currentHeight: () => (lastProcessedHeight >= 0 ? lastProcessedHeight : null),
+      now,
+    })
+    : null;
+
+  // Every event passes through here: the severity policy sets its level, then it goes to the
+  // log sinks and, through the incident layer, to the alert router
+  function logJson(type, data) {
+    const severity = severityPolicy.evaluate(type, data);
+    const event = severity === undefined ? data : { ...data, severity };
+
+    recordEvent(type, event);
+    if (severity !== undefined) sendAlert(type, event);
+  }
+
+  function recordEvent(type, event) {
+    if (type === "RPC_ERROR") tickHadRpcError = true;
+    metrics?.recordEvent(type, event);
+    eventBuffer?.push(type, event);
+    eventStore?.append(type, event);
+    writeLog(type, event);
+  }
 
   /**
    * 触发警报
    */
-  async function sendAlert(type, data) {
-    if (!alertWebhookUrl) return;
-    try {
-      const message = `🚨 **${type}** 🚨\n\n` +
-        `Severity: ${data.severity || 'UNKNOWN'}\n` +
-        `Details: \`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
-
-      // Compatible with Slack (text) and Discord (content)
-      const body = JSON.stringify({
-        content: message, 
-        text: message
-      });
+  function sendAlert(type, data) {
+    if (!alertIncidents) return deliverAlert(alertRouter.route(type, data), type, data);
+    const { delivery, resolved } = alertIncidents.handle(type, data);
+    if (resolved) recordEvent("INCIDENT_RESOLVED", resolved);
+    return delivery;
+  }
 
-      await fetch(alertWebhookUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body
-      });
-    } catch (err) {
-      console.error('Failed to send alert:', err);
+  // Alerts leave through the delivery queue, which retries failed channels
+  function deliverAlert(channels, type, data) {
+    // Never report a channel's failure through that same channel
+    const targets = type === "ALERT_DELIVERY_FAILED" ? channels.filter(name => name !== data.channel) : channels;
+    return alertQueue.enqueue(targets, type, data);
+  }
+
+  // Closes incidents whose events stopped arriving; their INCIDENT_RESOLVED summary is already queued
+  function resolveQuietIncidents() {
+    for (const { summary } of alertIncidents?.resolveQuiet() ?? []) {
+      recordEvent("INCIDENT_RESOLVED", summary);
     }
   }
 
+  // Multi-provider clients report endpoints that disagree on the same height
+  client.onDivergence?.((data) => {
+    logJson("PROVIDER_DIVERGENCE", data);
+  });
+
   // State Management
   let blockCache = new Map(); // Cache for Reorg detection
   let maxObservedHeight = 0;  // Track Max Height to detect Rewind
@@ -75,62 +357,138 @@ function createMonitor({
   let lastGenesisHash = null;
   let lastMetadataCheckMs = 0;
 
-    async function processBlock(blockNumber) {
-    // Let errors propagate to the caller for better handling
-    const block = await client.getBlock({ 
-      blockNumber: BigInt(blockNumber), 
-      includeTransactions: true 
+  // Finality Tracking
+  let finalityEnabled = trackFinality;
+  let finalitySeen = false; // Whether the RPC has ever answered the safe/finalized tags
+  let finalityFailures = 0; // Failed attempts before the first answer
+  let lastSafeHeight = null;
+  let lastFinalizedHeight = null;
+  let lastFinalizedHash = null;
+  let maxFinalizedHeight = null; // Highest finalized height ever observed; survives a regressing head
+  let finalityLag = null; // { safe, finalized } distance from latest, in blocks
+
+  // Transactions dropped by reorgs, followed until re-included or lost
+  const droppedTxTracker = createDroppedTxTracker({ followBlocks: droppedTxFollowBlocks });
+
+  const logWatcher = createLogWatcher({ contracts: watchContracts, events: watchEvents });
+  const watchlist = createWatchlist(watchAddresses);
+
+  // RPC Usage (per tick)
+  let tickRpcCalls = 0;
+  let lastTickStats = null;
+  let lastLatestHeight = null;
+
+  // Stall Detection
+  // A height can only be noticed once per poll, so never call a stall before a few polls went by without one
+  const stallThresholdMs = expectedBlockTimeMs
+    ? Math.max(expectedBlockTimeMs * stallThresholdBlocks, pollIntervalMs * 3)
+    : null;
+  let highestLatestHeight = null;
+  let lastNewHeightMs = null;
+  let stalledSinceMs = null;
+
+  // Timestamp Checks
+  const MIN_BASELINE_SAMPLES = 20;
+  let recentIntervals = []; // Seconds between consecutive blocks, newest last
+
+  // Health
+  const startedMs = now();
+  let lastProgressMs = null; // When lastProcessedHeight last advanced
+  let tickHadRpcError = false;
+  let consecutiveErrorTicks = 0;
+
+  // Persistence
+  let stateRestored = false;
+  let pendingRestoreVerification = false; // Restored cache not yet checked against the canonical chain
+  let lastStateSaveMs = null;
+
+  // Hourly Stats
+  let hourlyStats = createHourlyStats();
+
+  function createHourlyStats() {
+    return {
+      startTime: now(),
+      blocksProcessed: 0,
+      reorgsDetected: 0,
+      blocksReplaced: 0,
+      chainRewinds: 0,
+    };
+  }
+
+  async function generateHourlyReport() {
+    const durationMinutes = (now() - hourlyStats.startTime) / 60000;
+    const report = {
+      report_type: "HOURLY_ANALYSIS",
+      duration_minutes: durationMinutes.toFixed(2),
+      stats: { ...hourlyStats },
+      threat_assessment: "LOW",
+      threat_details: []
+    };
+
+    // Determine Threat Level
+    const reasons = [];
+    if (hourlyStats.chainRewinds > 0) {
+      report.threat_assessment = "CRITICAL";
+      reasons.push("Chain rewind detected");
+    } else if (hourlyStats.reorgsDetected > 5 || hourlyStats.blocksReplaced > 10) {
+      report.threat_assessment = "HIGH";
+      reasons.push("High frequency of reorgs/replacements");
+    } else if (hourlyStats.reorgsDetected > 0 || hourlyStats.blocksReplaced > 0) {
+      report.threat_assessment = "MEDIUM";
+      reasons.push("Minor reorg activity observed");
+    }
+
+    report.threat_details = reasons;
+
+    logJson("HOURLY_REPORT", report);
+
+    // Alert if threat is not LOW
+    if (report.threat_assessment !== "LOW") {
+      // Periodic by nature, so it bypasses incident grouping
+      const alert = { ...report, severity: THREAT_SEVERITY[report.threat_assessment] };
+      await deliverAlert(alertRouter.route("HOURLY_THREAT_REPORT", alert), "HOURLY_THREAT_REPORT", alert);
+    }
+
+    hourlyStats = createHourlyStats();
+  }
+
+  // All RPC reads go through here so each tick can report how many calls it made
+  async function rpc(method, args) {
+    tickRpcCalls++;
+    const startMs = now();
+    let failed = false;
+    try {
+      return await client[method](args);
+    } catch (err) {
+      failed = true;
+      throw err;
+    } finally {
+      metrics?.recordRpc(method, now() - startMs, failed);
+    }
+  }
+
+  async function fetchBlock(blockNumber) {
+    return rpc('getBlock', {
+      blockNumber: BigInt(blockNumber),
+      includeTransactions: true
     });
-    
+  }
+
+  /**
+   * Puts a fetched block into the cache. Forks are detected before this (see processBlock / traceReorg).
+   */
+  function applyBlock(block) {
     const height = Number(block.number);
     const hash = block.hash;
     const parentHash = block.parentHash;
     const txHashes = block.transactions.map(t => t.hash);
-    const txHashSet = new Set(txHashes);
-
-    // 检查是否是新的高度
-    // Check: Block Replaced (Same Height, Different Hash)
-    // This indicates a Fork or Reorg at the tip.
-    if (blockCache.has(height)) {
-      const cached = blockCache.get(height);
-      if (cached.hash !== hash) {
-        const cachedTxHashSet = new Set(cached.transactions);
-        const eventData = {
-          height,
-          old_hash: cached.hash,
-          new_hash: hash,
-          old_state_root: cached.stateRoot,
-          new_state_root: block.stateRoot,
-          tx_diff: {
-            dropped: cached.transactions.filter(tx => !txHashSet.has(tx)),
-            added: txHashes.filter(tx => !cachedTxHashSet.has(tx))
-          },
-          severity: "CRITICAL" // Marked as CRITICAL
-        };
-        logJson("BLOCK_REPLACED", eventData);
-        sendAlert("BLOCK_REPLACED", eventData);
-      }
-    }
-    
-    // 监测是否rollback，Parent Hash Mismatch
-    // Check: Reorg Detected (Parent Hash Mismatch)
-    // Checks if the current block's Parent Hash matches the cached block at height-1.
-    if (blockCache.has(height - 1)) {
-      const parent = blockCache.get(height - 1);
-      if (parentHash !== parent.hash) {
-        const alertData = {
-          at_height: height,
-          expected_parent: parent.hash,
-          actual_parent: parentHash,
-          severity: "CRITICAL"
-        };
-        logJson("PARENT_HASH_MISMATCH_DETECTED", alertData);
-        sendAlert("PARENT_HASH_MISMATCH_DETECTED", alertData);
-      }
-    }
+
+    hourlyStats.blocksProcessed++;
 
     // Update Cache if new block or replaced
     if (!blockCache.has(height) || blockCache.get(height).hash !== hash) {
+      if (block.timestamp !== undefined) checkTimestamp(block);
+
       logJson("BLOCK_RECEIVED", {
         height,
         hash,
@@ -146,15 +504,587 @@ function createMonitor({
         hash,
         parentHash,
         stateRoot: block.stateRoot,
-        transactions: txHashes
+        transactions: txHashes,
+        txDetails: block.transactions.map(summarizeTransaction),
+        timestamp: block.timestamp !== undefined ? Number(block.timestamp) : null
       });
     }
 
     if (height > maxObservedHeight) maxObservedHeight = height;
+  }
+
+  /**
+   * Checks a newly seen block's timestamp against its parent, the local clock and the rolling
+   * median block interval. Runs before the block enters the cache.
+   */
+  function checkTimestamp(block) {
+    const height = Number(block.number);
+    const timestamp = Number(block.timestamp);
+    const base = { height, hash: block.hash, timestamp };
+
+    const aheadMs = timestamp * 1000 - now();
+    if (aheadMs > maxFutureDriftMs) {
+      logJson("TIMESTAMP_IN_FUTURE", {
+        ...base,
+        local_time: Math.floor(now() / 1000),
+        ahead_ms: aheadMs,
+        max_drift_ms: maxFutureDriftMs
+      });
+    }
+
+    const parent = blockCache.get(height - 1);
+    if (!parent || parent.hash !== block.parentHash || parent.timestamp === null || parent.timestamp === undefined) return;
+
+    const interval = timestamp - parent.timestamp;
+    if (interval < 0) {
+      logJson("TIMESTAMP_WENT_BACKWARDS", {
+        ...base,
+        parent_timestamp: parent.timestamp,
+        delta_s: interval
+      });
+      return; // A negative interval would only poison the baseline
+    }
+
+    if (recentIntervals.length >= MIN_BASELINE_SAMPLES) {
+      const sorted = [...recentIntervals].sort((a, b) => a - b);
+      const baseline = sorted[Math.floor(sorted.length / 2)];
+      // Sub-second chains have whole-second timestamps, so a 0s interval is only short on slower chains
+      const tooLong = interval > Math.max(baseline, 1) * blockIntervalFactor;
+      const tooShort = baseline >= 1 && interval < baseline / blockIntervalFactor;
+      if (tooLong || tooShort) {
+        logJson("BLOCK_INTERVAL_ANOMALY", {
+          ...base,
+          kind: tooLong ? "LONG" : "SHORT",
+          interval_s: interval,
+          baseline_s: baseline,
+          parent_timestamp: parent.timestamp,
+          factor: blockIntervalFactor
+        });
+      }
+    }
+
+    recentIntervals.push(interval);
+    if (recentIntervals.length > blockIntervalWindow) recentIntervals = recentIntervals.slice(-blockIntervalWindow);
+  }
+
+  async function processBlock(blockNumber) {
+    // Let errors propagate to the caller for better handling
+    const block = await fetchBlock(blockNumber);
+    const height = Number(block.number);
+    const previous = blockCache.get(height);
+    const parent = blockCache.get(height - 1);
+    const replaced = previous !== undefined && previous.hash !== block.hash;
+    const parentMismatch = parent !== undefined && parent.hash !== block.parentHash;
+
+    if (replaced || parentMismatch) {
+      await traceReorg(block);
+    } else {
+      applyBlock(block);
+    }
     return true;
   }
 
-  async function tick() {
+  /**
+   * Resolves a fork seen at `block` into a single REORG event.
+   * Walks down through the cache (refetching each height) until the cached hash matches the
+   * canonical chain again - that height is the common ancestor. Heights above the fork are
+   * refetched too, so the whole branch is replaced here and later rechecks see no change.
+   * Nothing is applied until every height has been fetched: a failed fetch leaves the cache
+   * untouched and the fork is traced again from scratch on the next attempt.
+   */
+  async function traceReorg(block) {
+    const height = Number(block.number);
+    const canonical = new Map([[height, block]]); // height -> fetched block that differs from the cache
+
+    // Walk down to the common ancestor
+    let forkPoint = null;
+    for (let h = height - 1; h >= 0; h--) {
+      const cached = blockCache.get(h);
+      if (!cached) break; // Reorg is deeper than the cache
+      const fetched = await fetchBlock(h);
+      if (fetched.hash === cached.hash) {
+        forkPoint = { height: h, hash: cached.hash };
+        break;
+      }
+      canonical.set(h, fetched);
+    }
+
+    // Walk up through the rest of the processed range
+    const upperHeight = Math.max(height, lastProcessedHeight);
+    for (let h = height + 1; h <= upperHeight; h++) {
+      const cached = blockCache.get(h);
+      if (!cached) continue;
+      const fetched = await fetchBlock(h);
+      if (fetched.hash !== cached.hash) canonical.set(h, fetched);
+    }
+
+    // The whole branch is in hand: switch the cache over, bottom-up
+    const changes = new Map(); // height -> { old, new } cache entries
+    for (const h of [...canonical.keys()].sort((a, b) => a - b)) {
+      const old = blockCache.get(h) ?? null;
+      applyBlock(canonical.get(h));
+      changes.set(h, { old, new: blockCache.get(h) });
+    }
+
+    // Anything cached above the processed range is an orphaned tip with no replacement yet
+    for (const [h, cached] of blockCache) {
+      if (h > upperHeight) {
+        changes.set(h, { old: cached, new: null });
+        blockCache.delete(h);
+      }
+    }
+
+    const heights = [...changes.keys()].sort((a, b) => a - b);
+
+    // Transaction summaries are only cached for the recheck window: refetch deeper replaced blocks
+    // by hash, and name the heights the RPC no longer serves instead of checking them silently empty
+    const txDetailsUnavailable = [];
+    for (const h of heights) {
+      const old = changes.get(h).old;
+      if (!old || old.txDetails) continue;
+      try {
+        const orphan = await rpc('getBlock', { blockHash: old.hash, includeTransactions: true });
+        changes.set(h, {
+          ...changes.get(h),
+          old: { ...old, transactions: orphan.transactions.map(t => t.hash), txDetails: orphan.transactions.map(summarizeTransaction) }
+        });
+      } catch {
+        txDetailsUnavailable.push(h);
+      }
+    }
+
+    const toBranchEntry = (h, entry) => ({ height: h, hash: entry.hash, transactions: entry.transactions });
+    const oldBranch = heights.filter(h => changes.get(h).old).map(h => toBranchEntry(h, changes.get(h).old));
+    const newBranch = heights.filter(h => changes.get(h).new).map(h => toBranchEntry(h, changes.get(h).new));
+
+    // Parent mismatch that resolved without any replaced block (e.g. the cache caught up in between)
+    if (oldBranch.length === 0) return;
+
+    hourlyStats.reorgsDetected++;
+    hourlyStats.blocksReplaced += oldBranch.length;
+
+    const txDiff = diffTransactions(
+      oldBranch.flatMap(b => b.transactions),
+      newBranch.flatMap(b => b.transactions)
+    );
+
+    // Check: Finality Violation (blocks we saw finalized have been replaced), one per reorg
+    const finalizedReplaced = maxFinalizedHeight === null ? [] : heights
+      .filter(h => changes.get(h).old && h <= maxFinalizedHeight)
+      .map(h => ({ height: h, old_hash: changes.get(h).old.hash, new_hash: changes.get(h).new?.hash ?? null }));
+    if (finalizedReplaced.length > 0) {
+      reportFinalityViolation("FINALIZED_BLOCK_REPLACED", {
+        fork_point: forkPoint,
+        finalized_height: maxFinalizedHeight,
+        blocks: finalizedReplaced
+      });
+    }
+
+    const eventData = {
+      depth: oldBranch.length,
+      fork_point: forkPoint,
+      common_ancestor_found: forkPoint !== null,
+      finalized_height: maxFinalizedHeight,
+      crosses_finality: maxFinalizedHeight !== null && oldBranch[0].height <= maxFinalizedHeight,
+      old_tip: { height: oldBranch.at(-1).height, hash: oldBranch.at(-1).hash },
+      new_tip: newBranch.length > 0 ? { height: newBranch.at(-1).height, hash: newBranch.at(-1).hash } : null,
+      old_branch: oldBranch,
+      new_branch: newBranch,
+      tx_details_unavailable: txDetailsUnavailable,
+      tx_diff: {
+        ...txDiff,
+        by_height: heights.map(h => ({
+          height: h,
+          ...diffTransactions(changes.get(h).old?.transactions ?? [], changes.get(h).new?.transactions ?? [])
+        }))
+      }
+    };
+    logJson("REORG", eventData);
+
+    // Followed per height, so a transaction that only moved to another height shows up as TX_REINCLUDED
+    for (const { height: h, dropped } of eventData.tx_diff.by_height) {
+      for (const tx of dropped) droppedTxTracker.track(tx, { height: h, blockHash: changes.get(h).old.hash });
+    }
+
+    const changedHeights = heights.map(h => ({ height: h, ...changes.get(h) }));
+    const droppedTxs = collectTransactions(changedHeights, 'old', txDiff.dropped);
+    const addedTxs = collectTransactions(changedHeights, 'new', txDiff.added);
+
+    reportDoubleSpends(droppedTxs, addedTxs, forkPoint);
+    if (watchlist.size > 0) reportWatchlistImpact(droppedTxs, addedTxs, eventData);
+
+    if (logWatcher.enabled) {
+      await reportLogChanges(changedHeights, forkPoint);
+    }
+  }
+
+  // Cached transaction summaries of one side of a reorg, limited to the given hashes
+  function collectTransactions(changedHeights, side, hashes) {
+    const keep = new Set(hashes);
+    return changedHeights.flatMap(change => {
+      const entry = change[side];
+      if (!entry) return [];
+      return (entry.txDetails ?? [])
+        .filter(tx => keep.has(tx.hash))
+        .map(tx => ({ height: change.height, blockHash: entry.hash, tx }));
+    });
+  }
+
+  /**
+   * Raises WATCHLIST_REORG_IMPACT when dropped or added transactions touch watched addresses,
+   * naming each address with the affected transactions and amounts.
+   */
+  function reportWatchlistImpact(droppedTxs, addedTxs, reorg) {
+    const byAddress = new Map();
+    const record = (change, { height, blockHash, tx }) => {
+      for (const hit of watchlist.match(tx)) {
+        if (!byAddress.has(hit.address)) {
+          byAddress.set(hit.address, { address: hit.address, label: hit.label, transactions: [] });
+        }
+        byAddress.get(hit.address).transactions.push({
+          change,
+          role: hit.role,
+          hash: tx.hash,
+          height,
+          block_hash: blockHash,
+          from: tx.from,
+          to: tx.to,
+          value: tx.value,
+          token_transfer: tx.tokenTransfer ?? null
+        });
+      }
+    };
+    for (const entry of droppedTxs) record('dropped', entry);
+    for (const entry of addedTxs) record('added', entry);
+
+    if (byAddress.size === 0) return;
+
+    const alertData = {
+      addresses: [...byAddress.values()],
+      depth: reorg.depth,
+      fork_point: reorg.fork_point,
+      old_tip: reorg.old_tip,
+      new_tip: reorg.new_tip,
+      priority: "HIGH"
+    };
+    logJson("WATCHLIST_REORG_IMPACT", alertData);
+  }
+
+  /**
+   * Fetches the watched logs of every replaced block and its replacement and emits one LOGS_REORGED
+   * with the decoded events that disappeared (`removed`) or appeared (`added`), per height.
+   * Blocks whose logs the RPC no longer serves are listed in `unavailable` instead.
+   */
+  async function reportLogChanges(changedHeights, forkPoint) {
+    const removed = [];
+    const added = [];
+    const unavailable = [];
+
+    const fetchLogs = async (height, blockHash) => {
+      try {
+        return await logWatcher.fetchLogs(args => rpc('getLogs', args), blockHash);
+      } catch (err) {
+        unavailable.push({ height, block_hash: blockHash, error: err.message });
+        return null;
+      }
+    };
+
+    for (const change of changedHeights) {
+      const oldLogs = change.old ? await fetchLogs(change.height, change.old.hash) : [];
+      const newLogs = change.new ? await fetchLogs(change.height, change.new.hash) : [];
+      if (oldLogs === null || newLogs === null) continue;
+
+      const diff = logWatcher.diffLogs(oldLogs, newLogs);
+      removed.push(...diff.removed.map(log => ({ height: change.height, block_hash: change.old.hash, ...log })));
+      added.push(...diff.added.map(log => ({ height: change.height, block_hash: change.new.hash, ...log })));
+    }
+
+    if (removed.length === 0 && added.length === 0 && unavailable.length === 0) return;
+
+    logJson("LOGS_REORGED", {
+      fork_point: forkPoint,
+      removed,
+      added,
+      unavailable
+    });
+  }
+
+  /**
+   * Raises DOUBLE_SPEND_SUSPECTED for every dropped transaction whose sender and nonce
+   * were reused by a different transaction on the new branch.
+   */
+  function reportDoubleSpends(droppedTxs, addedTxs, forkPoint) {
+    const describe = ({ height, blockHash, tx }) => ({
+      hash: tx.hash,
+      height,
+      block_hash: blockHash,
+      to: tx.to,
+      value: tx.value
+    });
+
+    for (const { dropped, replacement } of findDoubleSpends(droppedTxs, addedTxs)) {
+      const alertData = {
+        from: dropped.tx.from,
+        nonce: dropped.tx.nonce,
+        dropped_tx: describe(dropped),
+        replacement_tx: describe(replacement),
+        same_recipient: dropped.tx.to?.toLowerCase() === replacement.tx.to?.toLowerCase(),
+        same_value: dropped.tx.value === replacement.tx.value,
+        fork_point: forkPoint
+      };
+      logJson("DOUBLE_SPEND_SUSPECTED", alertData);
+    }
+  }
+
+  /**
+   * Emits CHAIN_STALLED once `latest` has not advanced for `stallThresholdMs`,
+   * and CHAIN_RESUMED with the total stall duration when a new height shows up again.
+   */
+  function checkStall(latestHeight) {
+    const nowMs = now();
+    if (highestLatestHeight === null || latestHeight > highestLatestHeight) {
+      if (stalledSinceMs !== null) {
+        const alertData = {
+          stalled_height: highestLatestHeight,
+          resumed_height: latestHeight,
+          stalled_for_ms: nowMs - lastNewHeightMs,
+          expected_block_time_ms: expectedBlockTimeMs
+        };
+        logJson("CHAIN_RESUMED", alertData);
+        stalledSinceMs = null;
+      }
+      highestLatestHeight = latestHeight;
+      lastNewHeightMs = nowMs;
+      return;
+    }
+
+    const stalledForMs = nowMs - lastNewHeightMs;
+    if (stalledSinceMs === null && stalledForMs >= stallThresholdMs) {
+      stalledSinceMs = nowMs;
+      const alertData = {
+        height: highestLatestHeight,
+        stalled_for_ms: stalledForMs,
+        expected_block_time_ms: expectedBlockTimeMs,
+        threshold_ms: stallThresholdMs
+      };
+      logJson("CHAIN_STALLED", alertData);
+    }
+  }
+
+  function reportFinalityViolation(reason, details) {
+    const alertData = { reason, ...details };
+    logJson("FINALITY_VIOLATION", alertData);
+  }
+
+  /**
+   * Tracks the `safe` and `finalized` heads and reports finality lag.
+   * Raises FINALITY_VIOLATION when the finalized head moves backwards or changes hash at the same height.
+   */
+  async function checkFinality(latestHeight) {
+    let safeBlock;
+    let finalizedBlock;
+    try {
+      [safeBlock, finalizedBlock] = await Promise.all([
+        rpc('getBlock', { blockTag: 'safe' }),
+        rpc('getBlock', { blockTag: 'finalized' })
+      ]);
+    } catch (err) {
+      const unsupported = err?.code === -32602 || UNSUPPORTED_TAG_ERROR.test(err?.message ?? '');
+      if (!finalitySeen && (unsupported || ++finalityFailures >= FINALITY_MAX_FAILURES)) {
+        // The RPC rejects the tags, or never answered them: stop asking rather than erroring every tick
+        finalityEnabled = false;
+        logJson("FINALITY_UNSUPPORTED", { message: "RPC does not support safe/finalized block tags", error: err.message });
+        return;
+      }
+      logJson("RPC_ERROR", { message: "Failed to fetch safe/finalized heads", error: err.message });
+      return;
+    }
+    finalitySeen = true;
+
+    const safeHeight = Number(safeBlock.number);
+    const finalizedHeight = Number(finalizedBlock.number);
+
+    if (lastFinalizedHeight !== null) {
+      if (finalizedHeight < lastFinalizedHeight) {
+        reportFinalityViolation("FINALIZED_HEAD_REGRESSED", {
+          previous_finalized_height: lastFinalizedHeight,
+          previous_finalized_hash: lastFinalizedHash,
+          finalized_height: finalizedHeight,
+          finalized_hash: finalizedBlock.hash
+        });
+      } else if (finalizedHeight === lastFinalizedHeight && finalizedBlock.hash !== lastFinalizedHash) {
+        reportFinalityViolation("FINALIZED_HEAD_REPLACED", {
+          finalized_height: finalizedHeight,
+          previous_finalized_hash: lastFinalizedHash,
+          finalized_hash: finalizedBlock.hash
+        });
+      }
+    }
+
+    finalityLag = {
+      safe: latestHeight - safeHeight,
+      finalized: latestHeight - finalizedHeight
+    };
+
+    if (finalizedHeight !== lastFinalizedHeight) {
+      logJson("FINALITY_UPDATE", {
+        latest_height: latestHeight,
+        safe_height: safeHeight,
+        finalized_height: finalizedHeight,
+        finalized_hash: finalizedBlock.hash,
+        safe_lag: finalityLag.safe,
+        finalized_lag: finalityLag.finalized
+      });
+    }
+
+    lastSafeHeight = safeHeight;
+    lastFinalizedHeight = finalizedHeight;
+    lastFinalizedHash = finalizedBlock.hash;
+    maxFinalizedHeight = Math.max(maxFinalizedHeight ?? finalizedHeight, finalizedHeight);
+  }
+
+  async function lookupTransaction(hash) {
+    try {
+      const tx = await rpc('getTransaction', { hash });
+      if (tx.blockNumber === null) return { status: 'pending' };
+      return { status: 'mined', height: Number(tx.blockNumber), hash: tx.blockHash };
+    } catch (err) {
+      if (err.name === 'TransactionNotFoundError') return { status: 'not_found' };
+      logJson("RPC_ERROR", { message: `Failed to look up dropped transaction ${hash}`, error: err.message });
+      return { status: 'unknown' };
+    }
+  }
+
+  /**
+   * Reports the fate of transactions dropped by earlier reorgs: re-included somewhere in the cache,
+   * still waiting in the mempool, or lost once `droppedTxFollowBlocks` blocks passed and the RPC no longer knows them.
+   */
+  async function resolveDroppedTransactions() {
+    const tracked = droppedTxTracker.snapshot();
+    if (tracked.length === 0) return;
+
+    // A dropped tx can only come back at or above the fork point, so index from the lowest drop downwards
+    const minHeight = Math.min(...tracked.map(([, info]) => info.droppedAtHeight)) - recheckDepth;
+    const txIndex = new Map();
+    for (const [h, entry] of blockCache) {
+      if (h < minHeight) continue;
+      for (const tx of entry.transactions) txIndex.set(tx, { height: h, hash: entry.hash });
+    }
+
+    const events = await droppedTxTracker.update({
+      currentHeight: lastProcessedHeight,
+      findInclusion: tx => txIndex.get(tx) ?? null,
+      lookupTransaction
+    });
+
+    for (const [type, data] of events) logJson(type, data);
+  }
+
+  /**
+   * Only the recheck window is saved in full. Below it a short chain of hashes is enough for a
+   * restarted monitor to trace a fork back to its common ancestor; older blocks are never needed again.
+   */
+  function snapshotState() {
+    const fullFrom = lastProcessedHeight - recheckDepth + 1;
+    const blocks = [];
+    const hashChain = [];
+    for (const [h, entry] of blockCache) {
+      if (h >= fullFrom) blocks.push([h, entry]);
+      else if (h >= fullFrom - STATE_HASH_CHAIN_DEPTH) hashChain.push([h, entry.hash, entry.parentHash]);
+    }
+
+    return {
+      maxObservedHeight,
+      lastProcessedHeight,
+      lastChainId,
+      lastGenesisHash,
+      lastFinalizedHeight,
+      lastFinalizedHash,
+      maxFinalizedHeight,
+      hashChain,
+      blocks,
+      droppedTransactions: droppedTxTracker.snapshot(),
+    };
+  }
+
+  async function restoreState() {
+    stateRestored = true;
+    try {
+      const snapshot = await stateStore.load();
+      if (!snapshot) return;
+
+      // Hash-only heights have no transactions to report if a fork reaches them
+      const hashChain = (snapshot.hashChain ?? []).map(([h, hash, parentHash]) => [h, {
+        hash,
+        parentHash,
+        transactions: [],
+        timestamp: null
+      }]);
+      blockCache = new Map([...hashChain, ...snapshot.blocks]);
+      droppedTxTracker.restore(snapshot.droppedTransactions);
+      maxObservedHeight = snapshot.maxObservedHeight;
+      lastProcessedHeight = snapshot.lastProcessedHeight;
+      lastChainId = snapshot.lastChainId;
+      lastGenesisHash = snapshot.lastGenesisHash;
+      lastFinalizedHeight = snapshot.lastFinalizedHeight ?? null;
+      lastFinalizedHash = snapshot.lastFinalizedHash ?? null;
+      maxFinalizedHeight = snapshot.maxFinalizedHeight ?? null;
+      pendingRestoreVerification = blockCache.size > 0;
+
+      logJson("STATE_RESTORED", {
+        cached_blocks: blockCache.size,
+        max_observed_height: maxObservedHeight,
+        last_processed_height: lastProcessedHeight,
+        chain_id: lastChainId,
+        genesis_hash: lastGenesisHash
+      });
+    } catch (err) {
+      // A corrupt or unreadable snapshot should not keep the monitor down; start fresh instead.
+      logJson("STATE_STORE_ERROR", { message: "Failed to load state, starting fresh", error: err.message });
+    }
+  }
+
+  async function persistState(force = false) {
+    if (!stateStore) return;
+    const nowMs = now();
+    if (!force && lastStateSaveMs !== null && nowMs - lastStateSaveMs < stateSaveIntervalMs) return;
+    lastStateSaveMs = nowMs;
+    try {
+      await stateStore.save(snapshotState());
+    } catch (err) {
+      logJson("STATE_STORE_ERROR", { message: "Failed to save state", error: err.message });
+    }
+  }
+
+  /**
+   * Re-checks the restored cache against the canonical chain.
+   * Only the newest restored block needs fetching: its ancestors are pinned by the hash chain,
+   * and if it changed, processBlock traces the reorg down to the fork point.
+   */
+  async function verifyRestoredCache() {
+    const heights = [...blockCache.keys()].filter(h => h <= lastProcessedHeight);
+    if (heights.length > 0) {
+      const top = Math.max(...heights);
+      const previousHash = blockCache.get(top).hash;
+      await processBlock(top);
+      logJson("STATE_RESTORE_VERIFIED", { verified_height: top, changed: blockCache.get(top).hash !== previousHash });
+    }
+    pendingRestoreVerification = false;
+  }
+
+  /**
+   * One detection pass. `head` is a block header pushed by the newHeads subscription;
+   * without it the latest block is fetched over HTTP.
+   */
+  async function runTick({ head = null } = {}) {
+    if (stateStore && !stateRestored) await restoreState();
+
+    const tickStartMs = now();
+    const processedHeightBefore = lastProcessedHeight;
+    tickRpcCalls = 0;
+    tickHadRpcError = false;
+    const httpRequestsBefore = getHttpRequestCount?.();
+
     try {
       const nowMs = now();
       
@@ -162,40 +1092,74 @@ function createMonitor({
       if (nowMs - lastMetadataCheckMs >= chainMetadataPollMs) {
         lastMetadataCheckMs = nowMs;
         const [chainId, genesis] = await Promise.all([
-          client.getChainId(),
-          client.getBlock({ blockNumber: 0n })
+          rpc('getChainId'),
+          rpc('getBlock', { blockNumber: 0n })
         ]);
 
         if (lastChainId !== null && chainId !== lastChainId) {
-          const alertData = { old_chain_id: lastChainId, new_chain_id: chainId, severity: "CRITICAL" };
+          const alertData = { old_chain_id: lastChainId, new_chain_id: chainId };
           logJson("CHAIN_ID_CHANGED", alertData);
-          sendAlert("CHAIN_ID_CHANGED", alertData);
         }
         lastChainId = chainId;
 
         if (lastGenesisHash !== null && genesis.hash !== lastGenesisHash) {
-          const alertData = { old_genesis_hash: lastGenesisHash, new_genesis_hash: genesis.hash, severity: "CRITICAL" };
+          const alertData = { old_genesis_hash: lastGenesisHash, new_genesis_hash: genesis.hash };
           logJson("GENESIS_CHANGED", alertData);
-          sendAlert("GENESIS_CHANGED", alertData);
         }
         lastGenesisHash = genesis.hash;
       }
 
-      const latestBlock = await client.getBlock({ blockTag: 'latest' });
+      const latestBlock = head ?? await rpc('getBlock', { blockTag: 'latest' });
       const latestHeight = Number(latestBlock.number);
+      lastLatestHeight = latestHeight;
+
+      if (stallThresholdMs !== null) checkStall(latestHeight);
+
+      if (finalityEnabled) await checkFinality(latestHeight);
+
+      // Optimization: On first run, skip historical blocks to avoid long catch-up time.
+      // We set lastProcessedHeight to just before the current tip, so we only process the latest block.
+      if (skipHistory && lastProcessedHeight === -1 && latestHeight > 0) {
+        logJson("MONITOR_SKIP_HISTORY", {
+          message: "Skipping historical blocks to start from latest",
+          skipped_to_height: latestHeight
+        });
+        lastProcessedHeight = latestHeight - 1;
+      }
 
       // Check: Chain Rewind (Latest Height < Max Observed Height)
       // Indicates the chain tip has rolled back (Deep Reorg).
       if (latestHeight < maxObservedHeight) {
+        hourlyStats.chainRewinds++;
         const alertData = {
           from_height: maxObservedHeight,
           to_height: latestHeight,
-          severity: "CRITICAL"
+          finalized_height: maxFinalizedHeight,
+          crosses_finality: maxFinalizedHeight !== null && latestHeight < maxFinalizedHeight
         };
         logJson("CHAIN_REWIND", alertData);
-        sendAlert("CHAIN_REWIND", alertData);
         maxObservedHeight = latestHeight;
         lastProcessedHeight = latestHeight;
+        // The new branch grows from here, so stall detection measures progress from the rewound tip
+        highestLatestHeight = latestHeight;
+        lastNewHeightMs = now();
+      }
+
+      // Catch up on reorgs missed while the monitor was down.
+      // Errors propagate so the whole verification is retried next tick.
+      if (pendingRestoreVerification) {
+        await verifyRestoredCache();
+      }
+
+      // After a long outage, blocks that would be pruned right away are not worth fetching
+      const catchUpFrom = latestHeight - cacheDepth;
+      if (lastProcessedHeight >= 0 && lastProcessedHeight < catchUpFrom) {
+        logJson("MONITOR_SKIP_HISTORY", {
+          message: "Missed more blocks than the cache holds, skipping the oldest",
+          skipped_from_height: lastProcessedHeight + 1,
+          skipped_to_height: catchUpFrom
+        });
+        lastProcessedHeight = catchUpFrom;
       }
 
       // Process new blocks (Forward Sync)
@@ -206,6 +1170,7 @@ function createMonitor({
           try {
             await processBlock(h);
             lastProcessedHeight = h; // Only update on success
+            await persistState(); // A long catch-up saves its progress as it goes (throttled)
           } catch (err) {
             logJson("RPC_ERROR", { message: `Failed to process block ${h}`, error: err.message });
             break; // Stop syncing to retry this block next tick
@@ -214,55 +1179,41 @@ function createMonitor({
       }
 
       // Recheck recent blocks (Deep Reorg Detection)
-      // Optimization: Don't recheck blocks we just processed in Forward Sync
-      // We only recheck blocks up to (lastProcessedHeight - 1) or (latestHeight) depending on what we want.
-      // Actually, Forward Sync ensures we have the blocks. Recheck ensures they haven't changed.
-      // If we just fetched block X in Forward Sync, we don't need to recheck it immediately in the same tick.
-      
-      // Define the range we want to verify (e.g., latest 16 blocks)
+      // Re-verifies blocks within RECHECK_DEPTH to ensure they haven't changed.
+      // We stop at lastProcessedHeight: anything above it could not be fetched this tick.
+      // Headers for the whole window are requested together (one JSON-RPC batch on a batching transport);
+      // full transaction lists are only fetched for heights whose hash or parent link changed.
       const startHeight = Math.max(0, latestHeight - recheckDepth + 1);
-      // We stop at lastProcessedHeight because anything above that was either just added (so it's fresh)
-      // or we failed to reach it (so we can't recheck it anyway).
-      // However, if lastProcessedHeight moved forward this tick, those new blocks are fresh.
-      // So we can limit recheck to `min(latestHeight, originalLastProcessedHeight)`? 
-      // Simpler: Just recheck everything but skip if we *just* added it?
-      // Let's stick to: Recheck up to latestHeight, but logic inside processBlock handles duplicates gracefully.
-      // But to save RPC, let's only recheck blocks that were NOT just added.
-      // Since lastProcessedHeight is updated in the loop above, we can't easily know which ones were "just" added unless we track it.
-      // Simpler approach: Recheck range is [latestHeight - recheckDepth + 1, latestHeight].
-      // But we can skip if `h` was processed in the Forward Sync loop above? 
-      // Actually, standardizing is safer. Let's just run it. The cache check inside processBlock is fast, but we want to avoid RPC.
-      // But wait, processBlock DOES call RPC every time. That's the point of recheck.
-      // So yes, we should avoid calling processBlock again for blocks we just fetched.
-      
-      // To do this cleanly: 
-      // The blocks we just fetched are: (oldLastProcessedHeight + 1) ... lastProcessedHeight
-      // The blocks we need to recheck: (latestHeight - recheckDepth + 1) ... latestHeight
-      // So we should intersect these sets and remove the ones we just fetched.
-      // Effectively: Recheck up to `Math.min(latestHeight, oldLastProcessedHeight)`?
-      // No, that's not quite right because oldLastProcessedHeight isn't stored.
-      
-      // Let's keep it simple for now to ensure correctness over optimization, 
-      // but definitely use the `lastProcessedHeight` variable which now reflects the *actual* processed tip.
-      
-      for (let h = startHeight; h <= lastProcessedHeight; h++) {
-        // Simple optimization: If we are very close to the tip, and we just synced it, 
-        // we might be double-checking. But given the logic, let's prioritize correctness.
+      const recheckHeights = [];
+      for (let h = startHeight; h <= lastProcessedHeight; h++) recheckHeights.push(h);
+
+      const headers = await Promise.allSettled(recheckHeights.map(h => rpc('getBlock', {
+        blockNumber: BigInt(h),
+        includeTransactions: false
+      })));
+
+      for (const [i, h] of recheckHeights.entries()) {
         // We catch errors here individually so one failure doesn't stop the whole recheck
         try {
-          await processBlock(h);
+          if (headers[i].status === 'rejected') throw headers[i].reason;
+          const header = headers[i].value;
+          const cached = blockCache.get(h);
+          const parent = blockCache.get(h - 1);
+          const unchanged = cached?.hash === header.hash && (!parent || parent.hash === header.parentHash);
+          if (!unchanged) await processBlock(h);
         } catch (err) {
-           // Log but continue rechecking other blocks
-           // Unless it's a connection error, but let's assume transient
-           // Suppress "Block not found" log spam if needed, or just log everything
-           logJson("RPC_ERROR", { message: `Recheck failed for ${h}`, error: err.message });
+          logJson("RPC_ERROR", { message: `Recheck failed for ${h}`, error: err.message });
         }
       }
 
+      await resolveDroppedTransactions();
+
       // Prune Cache
+      // Transaction summaries are only kept for the recheck window; deeper blocks just pin the hash chain
       const minHeightToKeep = Math.max(0, latestHeight - cacheDepth + 1);
-      for (const height of blockCache.keys()) {
+      for (const [height, entry] of blockCache) {
         if (height < minHeightToKeep) blockCache.delete(height);
+        else if (height < startHeight) delete entry.txDetails;
       }
     } catch (err) {
       const message = err?.message ?? String(err);
@@ -270,14 +1221,135 @@ function createMonitor({
         logJson("RPC_ERROR", { error: message });
       }
     }
+
+    lastTickStats = {
+      duration_ms: now() - tickStartMs,
+      rpc_calls: tickRpcCalls,
+      http_requests: httpRequestsBefore === undefined ? undefined : getHttpRequestCount() - httpRequestsBefore,
+      processed_height: lastProcessedHeight
+    };
+    logJson("TICK_STATS", lastTickStats);
+
+    if (lastProcessedHeight > processedHeightBefore) lastProgressMs = now();
+    consecutiveErrorTicks = tickHadRpcError ? consecutiveErrorTicks + 1 : 0;
+    metrics?.recordTick({
+      durationMs: lastTickStats.duration_ms,
+      latest: lastLatestHeight,
+      processed: lastProcessedHeight,
+      finalized: lastFinalizedHeight,
+      cached: blockCache.size
+    });
+
+    resolveQuietIncidents();
+    alertQueue.processDue();
+    await persistState();
+  }
+
+  // Every tick (polling or newHeads) goes through this queue, so two passes never mutate the cache at once
+  let tickQueue = Promise.resolve();
+
+  function tick(options) {
+    const run = tickQueue.then(() => runTick(options));
+    tickQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Heads that arrive while a head-driven tick is running are coalesced into the newest one
+  let headTickRunning = false;
+  let pendingHead = null;
+
+  async function onHead(head) {
+    pendingHead = head;
+    if (headTickRunning) return;
+    headTickRunning = true;
+    try {
+      while (pendingHead) {
+        const next = pendingHead;
+        pendingHead = null;
+        await tick({ head: next });
+      }
+    } finally {
+      headTickRunning = false;
+    }
   }
 
   function start() {
-    logJson("MONITOR_START", { message: "Ultra-Detailed Reorg Monitor Active" });
-    const intervalId = setInterval(() => {
-      tick();
-    }, pollIntervalMs);
-    return () => clearInterval(intervalId);
+    logJson("MONITOR_START", {
+      message: "Ultra-Detailed Reorg Monitor Active",
+      chain: chain?.name,
+      rpc: rpcUrl,
+      transport: wsClient ? "ws" : "http"
+    });
+
+    // Poll Loop (in WebSocket mode only runs while the socket is down)
+    // The next tick is scheduled only after the previous one finished, so slow ticks apply backpressure.
+    const scheduler = createTickScheduler({
+      run: () => tick(),
+      intervalMs: pollIntervalMs,
+      adaptive: adaptivePollInterval,
+      maxIntervalMs: maxPollIntervalMs,
+      overrunThreshold,
+      onOverrun: (data) => logJson("TICK_OVERRUN", { ...data, adaptive: adaptivePollInterval }),
+      onIntervalChange: (data) => logJson("POLL_INTERVAL_CHANGED", data),
+      now,
+    });
+    const startPolling = () => scheduler.start();
+    const stopPolling = () => scheduler.stop();
+    startPolling();
+
+    // newHeads Subscription
+    const subscription = wsClient
+      ? createHeadSubscription({
+        client: wsClient,
+        onHead,
+        onStatusChange: ({ connected, error }) => {
+          if (connected) {
+            stopPolling();
+            logJson("WS_CONNECTED", { message: "Subscribed to newHeads, HTTP polling paused" });
+          } else {
+            startPolling();
+            logJson("WS_DISCONNECTED", { message: "newHeads subscription lost, falling back to HTTP polling", error: error?.message });
+          }
+        },
+      })
+      : null;
+    subscription?.start();
+
+    // Hourly Analysis Loop
+    const reportIntervalId = hourlyReportIntervalMs > 0
+      ? setInterval(() => {
+        generateHourlyReport();
+      }, hourlyReportIntervalMs)
+      : null;
+
+    return () => {
+      stopPolling();
+      subscription?.stop();
+      if (reportIntervalId) clearInterval(reportIntervalId);
+      return persistState(true).then(() => Promise.all([eventStore?.flush(), alertQueue.flush()]));
+    };
+  }
+
+  /**
+   * Liveness as seen by `/healthz`: unhealthy when no new block was processed within
+   * `healthMaxBlockAgeMs`, or the last `healthMaxErrorTicks` ticks all hit RPC errors.
+   */
+  function getHealth() {
+    const blockAgeMs = now() - (lastProgressMs ?? startedMs);
+    const reasons = [];
+    if (blockAgeMs > healthMaxBlockAgeMs) {
+      reasons.push(`No new block processed for ${Math.round(blockAgeMs / 1000)}s`);
+    }
+    if (consecutiveErrorTicks >= healthMaxErrorTicks) {
+      reasons.push(`RPC errors in the last ${consecutiveErrorTicks} ticks`);
+    }
+    return {
+      healthy: reasons.length === 0,
+      reasons,
+      last_block_age_ms: blockAgeMs,
+      consecutive_error_ticks: consecutiveErrorTicks,
+      processed_height: lastProcessedHeight
+    };
   }
 
   function getState() {
@@ -287,19 +1359,170 @@ function createMonitor({
       lastProcessedHeight,
       lastChainId,
       lastGenesisHash,
+      lastLatestHeight,
+      lastSafeHeight,
+      lastFinalizedHeight,
+      lastFinalizedHash,
+      maxFinalizedHeight,
+      finalityLag,
+      lastTickStats,
+      droppedTransactions: droppedTxTracker.snapshot(),
+      openIncidents: alertIncidents?.openIncidents() ?? [],
+      alertDeliveries: alertQueue.stats(),
+      hourlyStats,
     };
   }
 
-  return { tick, start, getState };
+  return { tick, start, getState, getHealth, generateHourlyReport, persistState };
+}
+
+// Host only, so API keys in the URL path or query never end up in logs
+function providerName(url, index) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return `provider-${index}`;
+  }
+}
+
+/**
+ * Resolves the chain from `--chain` (or CHAIN), applies environment overrides on top of
+ * the registry defaults and starts the monitor. Returns the stop function from start().
+ */
+function runFromCli(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      chain: { type: 'string' },
+      'hourly-report': { type: 'boolean', default: false },
+      transport: { type: 'string' },
+      'http-port': { type: 'string' },
+    },
+  });
+
+  const chain = getChainConfig(values.chain ?? process.env.CHAIN ?? DEFAULT_CHAIN);
+  // SEVERITY_POLICY_FILE: { depthLevels, events, chains: { <chain>: { depthLevels, events } } }
+  const policyFile = SEVERITY_POLICY_FILE ? JSON.parse(fs.readFileSync(SEVERITY_POLICY_FILE, 'utf8')) : null;
+  const severityPolicy = createSeverityPolicy(chain.severityPolicy, policyFile, policyFile?.chains?.[chain.key]);
+  const alertRouter = ALERT_ROUTES_FILE
+    ? createAlertRouterFromConfig({
+      chain: chain.key,
+      chainName: chain.name,
+      explorerUrl: chain.explorerUrl,
+      config: loadAlertRoutes(ALERT_ROUTES_FILE),
+    })
+    : null;
+  const rpcUrls = RPC_URLS ?? (RPC_URL ? [RPC_URL] : chain.rpcUrls ?? [chain.rpcUrl]);
+  const transportMode = values.transport ?? TRANSPORT_MODE ?? 'http';
+  if (transportMode !== 'http' && transportMode !== 'ws') {
+    throw new Error(`Unknown transport "${transportMode}", expected "http" or "ws"`);
+  }
+  const wsUrl = WS_RPC_URL ?? chain.wsUrl;
+  if (transportMode === 'ws' && !wsUrl) {
+    throw new Error('WebSocket transport requires WS_RPC_URL');
+  }
+  const stateStore = STATE_DIR === 'off'
+    ? null
+    : createFileStateStore(path.join(STATE_DIR, `${chain.key}.state.json`));
+  const alertQueueStore = STATE_DIR === 'off'
+    ? null
+    : createFileStateStore(path.join(STATE_DIR, `${chain.key}.alerts.json`));
+  const eventStore = STATE_DIR === 'off'
+    ? null
+    : createFileEventStore({
+      filePath: eventFilePath(STATE_DIR, chain.key),
+      chain: chain.key,
+      excludeTypes: EVENT_STORE_EXCLUDE ?? DEFAULT_EXCLUDED_TYPES,
+      onError: err => defaultLogJson("EVENT_STORE_ERROR", { error: err.message }),
+    });
+
+  // `batch` merges the concurrent recheck header reads into one HTTP request
+  let httpRequestCount = 0;
+  const createHttpClient = (url) => createPublicClient({
+    chain: chain.chain,
+    transport: http(url, {
+      retryCount: 3,
+      retryDelay: 1000,
+      batch: true,
+      onFetchRequest: () => {
+        httpRequestCount++;
+      },
+    }),
+  });
+
+  // Several endpoints are cross-checked through a quorum client; a single one is used directly
+  const client = rpcUrls.length > 1
+    ? createQuorumClient({
+      providers: rpcUrls.map((url, i) => ({ name: providerName(url, i), client: createHttpClient(url) })),
+      quorum: RPC_QUORUM,
+    })
+    : createHttpClient(rpcUrls[0]);
+
+  const wsClient = transportMode === 'ws'
+    ? createPublicClient({ chain: chain.chain, transport: webSocket(wsUrl) })
+    : null;
+
+  const httpPort = values['http-port'] !== undefined ? Number(values['http-port']) : HTTP_PORT;
+  const metrics = httpPort !== undefined ? createMonitorMetrics({ chain: chain.key }) : null;
+  const eventBuffer = httpPort !== undefined
+    ? createEventBuffer({ capacity: EVENT_BUFFER_SIZE, excludeTypes: EVENT_STORE_EXCLUDE ?? DEFAULT_EXCLUDED_TYPES })
+    : null;
+
+  const monitor = createMonitor({
+    client,
+    wsClient,
+    chain,
+    rpcUrl: rpcUrls.map(providerName).join(', '),
+    pollIntervalMs: POLL_INTERVAL_MS ?? chain.pollIntervalMs,
+    recheckDepth: RECHECK_DEPTH ?? chain.recheckDepth,
+    expectedBlockTimeMs: EXPECTED_BLOCK_TIME_MS ?? chain.blockTimeMs,
+    skipHistory: SKIP_HISTORY ?? chain.skipHistory,
+    watchAddresses: WATCH_ADDRESSES ?? chain.watchlist ?? [],
+    hourlyReportIntervalMs: values['hourly-report'] ? HOURLY_REPORT_INTERVAL_MS : 0,
+    stateStore,
+    getHttpRequestCount: () => httpRequestCount,
+    metrics,
+    eventBuffer,
+    eventStore,
+    severityPolicy,
+    alertRouter,
+    alertQueueStore,
+  });
+  const stopMonitor = monitor.start();
+
+  let httpServer = null;
+  if (httpPort !== undefined) {
+    const routes = createMonitorRoutes({ monitor, chain, metrics, eventBuffer });
+    httpServer = createHttpServer({
+      port: httpPort,
+      host: HTTP_HOST,
+      routes,
+      onError: err => defaultLogJson("HTTP_SERVER_ERROR", { error: err.message }),
+    });
+    httpServer.listen().then(
+      port => defaultLogJson("HTTP_SERVER_LISTENING", { host: HTTP_HOST, port, paths: Object.keys(routes) }),
+      err => defaultLogJson("HTTP_SERVER_ERROR", { error: err.message })
+    );
+  }
+
+  return async () => {
+    await stopMonitor();
+    await httpServer?.close();
+  };
 }
 
-const client = createPublicClient({
-  chain: foundry,
-  transport: http(RPC_URL),
-});
+// Flush state on pm2/docker shutdown so the next start resumes from the latest snapshot
+function stopOnSignals(stop) {
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      await stop();
+      process.exit(0);
+    });
+  }
+}
 
 if (require.main === module) {
-  createMonitor({ client }).start();
+  stopOnSignals(runFromCli());
 }
 
-module.exports = { createMonitor };
+module.exports = { createMonitor, runFromCli, stopOnSignals };
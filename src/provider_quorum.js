@@ -0,0 +1,129 @@
+/**
+ * Multi-Provider Quorum Client
+ *
+ * Wraps several RPC clients for the same chain behind the subset of the viem public client
+ * the monitor uses (`getBlock`, `getChainId`, `getTransaction`, `getLogs`). Every read goes to all providers; the answer
+ * backed by at least `quorum` of them is returned, so one lagging or misbehaving endpoint
+ * can no longer pass for a reorg. Providers reporting different hashes for the same height
+ * are surfaced through `onDivergence`; transaction and log lookups only vote.
+ */
+
+const MAX_REPORTED_DIVERGENCES = 1024;
+
+function createQuorumClient({ providers, quorum } = {}) {
+  if (!providers || providers.length === 0) throw new Error('providers are required');
+  const requiredVotes = quorum ?? Math.floor(providers.length / 2) + 1;
+  if (requiredVotes < 1 || requiredVotes > providers.length) {
+    throw new Error(`quorum must be between 1 and ${providers.length}, got ${requiredVotes}`);
+  }
+
+  const divergenceHandlers = [];
+  const reportedDivergences = new Set(); // Avoids re-reporting the same split on every recheck
+
+  function reportDivergence(key, data) {
+    if (reportedDivergences.has(key)) return;
+    reportedDivergences.add(key);
+    if (reportedDivergences.size > MAX_REPORTED_DIVERGENCES) {
+      reportedDivergences.delete(reportedDivergences.values().next().value);
+    }
+    for (const handler of divergenceHandlers) handler(data);
+  }
+
+  async function queryAll(fn) {
+    const results = await Promise.allSettled(providers.map(p => fn(p.client)));
+    return results.map((result, i) => ({ provider: providers[i].name, ...result }));
+  }
+
+  /**
+   * Groups fulfilled answers by `keyOf` and returns the largest group if it reaches quorum.
+   * Throws the first provider error when nobody answered, so "Block not found" keeps its meaning.
+   * Splits are reported as divergence unless `reportSplit` is false.
+   */
+  function pickQuorum(results, keyOf, describe, { reportSplit = true } = {}) {
+    const answered = results.filter(r => r.status === 'fulfilled');
+    if (answered.length === 0) throw results[0].reason;
+
+    const groups = new Map();
+    for (const r of answered) {
+      const key = keyOf(r.value);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    }
+
+    if (groups.size > 1 && reportSplit) {
+      const votes = Object.fromEntries(answered.map(r => [r.provider, keyOf(r.value)]));
+      const split = [...groups.keys()].sort().join(',');
+      reportDivergence(`${describe.kind}:${describe.height ?? ''}:${split}`, { ...describe, votes });
+    }
+
+    const [winner] = [...groups.values()].sort((a, b) => b.length - a.length);
+    if (winner.length < requiredVotes) {
+      throw new Error(
+        `Provider quorum not reached for ${describe.kind}${describe.height !== undefined ? ` ${describe.height}` : ''}: ` +
+        `${winner.length}/${providers.length} agree, ${requiredVotes} required`
+      );
+    }
+    return winner[0].value;
+  }
+
+  async function getBlockByNumber(args) {
+    const results = await queryAll(client => client.getBlock(args));
+    return pickQuorum(results, block => block.hash, { kind: 'block', height: Number(args.blockNumber) });
+  }
+
+  async function getBlock(args = {}) {
+    if (args.blockNumber !== undefined) return getBlockByNumber(args);
+    if (args.blockHash !== undefined) {
+      // Only providers that still serve the block answer, and they can only agree on its hash
+      const results = await queryAll(client => client.getBlock(args));
+      return pickQuorum(results, block => block.hash, { kind: 'block', hash: args.blockHash });
+    }
+
+    // Tags (latest/safe/finalized) legitimately differ while providers catch up, so they are not votes on
+    // a hash. Use the highest height that at least `quorum` providers have reached, then vote on that height.
+    const results = await queryAll(client => client.getBlock({ blockTag: args.blockTag }));
+    const heights = results
+      .filter(r => r.status === 'fulfilled')
+      .map(r => r.value.number)
+      .sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+    if (heights.length === 0) throw results[0].reason;
+    if (heights.length < requiredVotes) {
+      throw new Error(`Provider quorum not reached for ${args.blockTag ?? 'latest'}: ${heights.length}/${providers.length} answered, ${requiredVotes} required`);
+    }
+    return getBlockByNumber({ blockNumber: heights[requiredVotes - 1], includeTransactions: args.includeTransactions });
+  }
+
+  async function getChainId() {
+    const results = await queryAll(client => client.getChainId());
+    return pickQuorum(results, chainId => String(chainId), { kind: 'chain_id' });
+  }
+
+  // A provider slightly behind (tx still pending, logs not indexed yet) disagrees here without any fork,
+  // so transaction and log lookups only vote; divergence is about block hashes at a height
+  async function getTransaction(args) {
+    const results = await queryAll(client => client.getTransaction(args));
+    return pickQuorum(results, tx => String(tx.blockHash), { kind: 'transaction', hash: args.hash }, { reportSplit: false });
+  }
+
+  async function getLogs(args) {
+    const results = await queryAll(client => client.getLogs(args));
+    const keyOf = logs => logs.map(log => `${log.transactionHash}:${log.logIndex}`).join(',');
+    return pickQuorum(results, keyOf, { kind: 'logs', block_hash: args.blockHash }, { reportSplit: false });
+  }
+
+  function onDivergence(handler) {
+    divergenceHandlers.push(handler);
+  }
+
+  return {
+    getBlock,
+    getChainId,
+    getTransaction,
+    getLogs,
+    onDivergence,
+    providers: providers.map(p => p.name),
+    quorum: requiredVotes,
+  };
+}
+
+module.exports = { createQuorumClient };
@@ -0,0 +1,110 @@
+/**
+ * Severity Policy
+ *
+ * Decides how loud each event is, so a one-block tip replacement no longer pages like a genesis change.
+ * Every event the monitor emits goes through `evaluate(type, data)` before it is logged or alerted.
+ *
+ * A policy maps event types to a rule: either a fixed level, or
+ * `{ severity, escalateByDepth, finalized }` where
+ *   - `escalateByDepth` raises the level by reorg depth using `depthLevels`
+ *     (`{ 1: 'INFO', 2: 'WARNING', 3: 'HIGH' }` = depth 1 INFO, 2 WARNING, 3 and deeper HIGH)
+ *   - `finalized` is the level used when the event reaches at or below the finalized height.
+ * Events without a rule keep whatever severity they carry (usually none).
+ *
+ * Overrides (a chain's `severityPolicy` in chains.js, or SEVERITY_POLICY_FILE) use the same shape;
+ * `events` entries replace the default rule for that type and `depthLevels` replaces the thresholds.
+ */
+
+const SEVERITY_LEVELS = ['INFO', 'WARNING', 'HIGH', 'CRITICAL'];
+
+const DEFAULT_POLICY = {
+  depthLevels: { 1: 'INFO', 2: 'WARNING', 3: 'HIGH' },
+  events: {
+    REORG: { severity: 'INFO', escalateByDepth: true, finalized: 'CRITICAL' },
+    CHAIN_REWIND: { severity: 'INFO', escalateByDepth: true, finalized: 'CRITICAL' },
+    LOGS_REORGED: 'INFO',
+    FINALITY_VIOLATION: 'CRITICAL',
+    CHAIN_ID_CHANGED: 'CRITICAL',
+    GENESIS_CHANGED: 'CRITICAL',
+    DOUBLE_SPEND_SUSPECTED: 'CRITICAL',
+    WATCHLIST_REORG_IMPACT: 'HIGH',
+    TX_LOST: 'HIGH',
+    PROVIDER_DIVERGENCE: 'HIGH',
+    ALERT_DELIVERY_FAILED: 'HIGH',
+    CHAIN_STALLED: 'HIGH',
+    CHAIN_RESUMED: 'INFO',
+    TIMESTAMP_WENT_BACKWARDS: 'HIGH',
+    TIMESTAMP_IN_FUTURE: 'WARNING',
+    BLOCK_INTERVAL_ANOMALY: 'WARNING',
+    TICK_OVERRUN: 'WARNING',
+    RPC_ERROR: 'WARNING',
+  },
+};
+
+// How deep an event reaches, for depth escalation
+const DEPTH_OF = {
+  REORG: data => data.depth,
+  CHAIN_REWIND: data => data.from_height - data.to_height,
+};
+
+function severityRank(severity) {
+  return SEVERITY_LEVELS.indexOf(severity);
+}
+
+function assertLevel(severity, where) {
+  if (severityRank(severity) === -1) {
+    throw new Error(`Unknown severity "${severity}" in ${where}, expected one of: ${SEVERITY_LEVELS.join(', ')}`);
+  }
+}
+
+function normalizeRule(rule) {
+  return typeof rule === 'string' ? { severity: rule } : rule;
+}
+
+function createSeverityPolicy(...overrides) {
+  let depthLevels = DEFAULT_POLICY.depthLevels;
+  const rules = new Map(Object.entries(DEFAULT_POLICY.events).map(([type, rule]) => [type, normalizeRule(rule)]));
+
+  for (const override of overrides) {
+    if (!override) continue;
+    if (override.depthLevels) depthLevels = override.depthLevels;
+    for (const [type, rule] of Object.entries(override.events ?? {})) rules.set(type, normalizeRule(rule));
+  }
+
+  for (const [depth, level] of Object.entries(depthLevels)) assertLevel(level, `depthLevels[${depth}]`);
+  for (const [type, rule] of rules) {
+    assertLevel(rule.severity, `events.${type}`);
+    if (rule.finalized) assertLevel(rule.finalized, `events.${type}.finalized`);
+  }
+
+  const thresholds = Object.entries(depthLevels)
+    .map(([depth, level]) => [Number(depth), level])
+    .sort((a, b) => a[0] - b[0]);
+
+  function levelForDepth(depth) {
+    let level = null;
+    for (const [minDepth, thresholdLevel] of thresholds) {
+      if (depth >= minDepth) level = thresholdLevel;
+    }
+    return level;
+  }
+
+  const max = (a, b) => (b !== null && severityRank(b) > severityRank(a) ? b : a);
+
+  /**
+   * Returns the severity for an event, or the event's own severity when no rule covers it.
+   */
+  function evaluate(type, data) {
+    const rule = rules.get(type);
+    if (!rule) return data.severity;
+
+    let severity = rule.severity;
+    if (rule.escalateByDepth && DEPTH_OF[type]) severity = max(severity, levelForDepth(DEPTH_OF[type](data)));
+    if (rule.finalized && data.crosses_finality === true) severity = max(severity, rule.finalized);
+    return severity;
+  }
+
+  return { evaluate };
+}
+
+module.exports = { createSeverityPolicy, severityRank, SEVERITY_LEVELS, DEFAULT_POLICY };
@@ -0,0 +1,71 @@
+/**
+ * Monitor State Store
+ *
+ * Persists the monitor's detection state (recent blocks, heights, chain id, genesis hash)
+ * so a restarted monitor can pick up where it left off and catch reorgs that happened while it was down.
+ *
+ * A store is any object with `load()` and `save(snapshot)`; both may be async.
+ * `load()` resolves to the last saved snapshot, or null when nothing has been saved yet.
+ */
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * JSON snapshot on local disk.
+ * Writes go to a temp file first and are renamed into place, so a crash mid-write never leaves a torn file.
+ * Saves run one at a time in call order, so two of them never share the temp file.
+ */
+function createFileStateStore(filePath) {
+  if (!filePath) throw new Error('filePath is required');
+
+  let saveQueue = Promise.resolve();
+
+  async function load() {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const snapshot = JSON.parse(raw);
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported state snapshot version ${snapshot.version} in ${filePath}`);
+    }
+    return snapshot;
+  }
+
+  function save(snapshot) {
+    // Serialized now, so the file holds the state as of this call
+    const data = JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot });
+    const write = saveQueue.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, data);
+      await fs.rename(tmpPath, filePath);
+    });
+    saveQueue = write.catch(() => {});
+    return write;
+  }
+
+  return { load, save, filePath };
+}
+
+/**
+ * In-process store, useful for tests and for running without persistence.
+ */
+function createMemoryStateStore(initial = null) {
+  let snapshot = initial;
+  return {
+    async load() {
+      return snapshot;
+    },
+    async save(next) {
+      snapshot = structuredClone({ version: SNAPSHOT_VERSION, ...next });
+    },
+  };
+}
+
+module.exports = { createFileStateStore, createMemoryStateStore, SNAPSHOT_VERSION };
@@ -0,0 +1,118 @@
+/**
+ * Tick Scheduler
+ *
+ * Runs an async task repeatedly without ever overlapping two runs: the next run is scheduled
+ * only after the current one settles, `intervalMs` after it started (or immediately if it overran).
+ * Runs that keep taking longer than the interval are reported through `onOverrun`, and with
+ * `adaptive` the interval is widened (up to `maxIntervalMs`) until runs fit again.
+ * `stop()` followed by `start()` during a run keeps a single loop: the new one waits for that run to settle.
+ */
+function createTickScheduler({
+  run,
+  intervalMs,
+  adaptive = false,
+  maxIntervalMs = intervalMs * 8,
+  overrunThreshold = 3, // Consecutive overruns before reporting
+  onOverrun = () => {},
+  onIntervalChange = () => {},
+  now = () => Date.now(),
+} = {}) {
+  if (!run) throw new Error('run is required');
+  if (!(intervalMs > 0)) throw new Error('intervalMs must be positive');
+
+  const baseIntervalMs = intervalMs;
+  let currentIntervalMs = intervalMs;
+  let consecutiveOverruns = 0;
+  let consecutiveFastRuns = 0;
+  let timer = null;
+  let running = false;
+  let generation = 0; // Bumped by start(), so a run left over from before a stop() does not reschedule
+  let activeRun = null;
+  let lastDurationMs = null;
+
+  function setInterval(next, reason) {
+    if (next === currentIntervalMs) return;
+    const previous = currentIntervalMs;
+    currentIntervalMs = next;
+    onIntervalChange({ from_ms: previous, to_ms: next, reason });
+  }
+
+  function recordDuration(durationMs) {
+    lastDurationMs = durationMs;
+
+    if (durationMs > currentIntervalMs) {
+      consecutiveOverruns++;
+      consecutiveFastRuns = 0;
+      if (consecutiveOverruns >= overrunThreshold) {
+        onOverrun({
+          duration_ms: durationMs,
+          interval_ms: currentIntervalMs,
+          consecutive_overruns: consecutiveOverruns
+        });
+        consecutiveOverruns = 0;
+        if (adaptive) setInterval(Math.min(currentIntervalMs * 2, maxIntervalMs), 'overrun');
+      }
+      return;
+    }
+
+    consecutiveOverruns = 0;
+    // Step back toward the configured interval once runs comfortably fit again
+    if (adaptive && currentIntervalMs > baseIntervalMs && durationMs < currentIntervalMs / 2) {
+      consecutiveFastRuns++;
+      if (consecutiveFastRuns >= overrunThreshold) {
+        consecutiveFastRuns = 0;
+        setInterval(Math.max(Math.floor(currentIntervalMs / 2), baseIntervalMs), 'recovered');
+      }
+    } else {
+      consecutiveFastRuns = 0;
+    }
+  }
+
+  async function runOnce(runGeneration) {
+    timer = null;
+    // After a stop() and start() the previous run may still be going
+    while (activeRun) await activeRun;
+    if (!running || runGeneration !== generation) return;
+
+    const startedMs = now();
+    activeRun = (async () => {
+      try {
+        await run();
+      } catch {
+        // The task reports its own errors; the schedule must keep going
+      }
+    })();
+    await activeRun;
+    activeRun = null;
+    const durationMs = now() - startedMs;
+    recordDuration(durationMs);
+
+    if (running && runGeneration === generation) {
+      timer = setTimeout(runOnce, Math.max(0, currentIntervalMs - durationMs), runGeneration);
+    }
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    generation++;
+    timer = setTimeout(runOnce, currentIntervalMs, generation);
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    start,
+    stop,
+    recordDuration,
+    isRunning: () => running,
+    getIntervalMs: () => currentIntervalMs,
+    getLastDurationMs: () => lastDurationMs,
+  };
+}
+
+module.exports = { createTickScheduler };
@@ -0,0 +1,88 @@
+/**
+ * Dropped Transaction Tracker
+ *
+ * Follows transactions dropped by a reorg until their fate is known:
+ * re-included in another block (TX_REINCLUDED), or gone from both the chain and the mempool
+ * once `followBlocks` blocks have passed (TX_LOST). One still in the mempool then is reported
+ * as TX_PENDING and followed until it is mined or evicted.
+ * The tracker holds no client of its own; the monitor passes in how to look things up.
+ */
+function createDroppedTxTracker({ followBlocks = 64 } = {}) {
+  const tracked = new Map(); // txHash -> { droppedAtHeight, oldBlockHash, pendingReported? }
+
+  function track(txHash, { height, blockHash }) {
+    if (tracked.has(txHash)) return;
+    tracked.set(txHash, { droppedAtHeight: height, oldBlockHash: blockHash });
+  }
+
+  /**
+   * Resolves tracked transactions against the current chain and returns the events to emit.
+   * - `findInclusion(txHash)` checks the monitor's block cache: `{ height, hash }` or null.
+   * - `lookupTransaction(txHash)` asks the RPC on every update once the follow window ran out:
+   *   `{ status: 'mined', height, hash }`, `{ status: 'pending' }`, `{ status: 'not_found' }` or `{ status: 'unknown' }`.
+   */
+  async function update({ currentHeight, findInclusion, lookupTransaction }) {
+    const events = [];
+
+    for (const [txHash, info] of tracked) {
+      const base = {
+        tx_hash: txHash,
+        dropped_at_height: info.droppedAtHeight,
+        old_block_hash: info.oldBlockHash
+      };
+
+      const inclusion = findInclusion(txHash);
+      if (inclusion) {
+        tracked.delete(txHash);
+        events.push(["TX_REINCLUDED", {
+          ...base,
+          new_height: inclusion.height,
+          new_block_hash: inclusion.hash,
+          height_delta: inclusion.height - info.droppedAtHeight
+        }]);
+        continue;
+      }
+
+      const followed = currentHeight - info.droppedAtHeight;
+      if (followed < followBlocks) continue;
+
+      // Window exhausted: ask the RPC in case it landed outside the cache or still waits in the mempool
+      const found = await lookupTransaction(txHash);
+      if (found.status === 'mined') {
+        tracked.delete(txHash);
+        events.push(["TX_REINCLUDED", {
+          ...base,
+          new_height: found.height,
+          new_block_hash: found.hash,
+          height_delta: found.height - info.droppedAtHeight
+        }]);
+      } else if (found.status === 'not_found') {
+        tracked.delete(txHash);
+        events.push(["TX_LOST", {
+          ...base,
+          followed_blocks: followed,
+          mempool_status: found.status
+        }]);
+      } else if (found.status === 'pending' && !info.pendingReported) {
+        // Still in the mempool: reported once, then followed until it is mined or evicted
+        info.pendingReported = true;
+        events.push(["TX_PENDING", { ...base, followed_blocks: followed }]);
+      }
+      // 'unknown' (the lookup failed) is retried on the next update
+    }
+
+    return events;
+  }
+
+  return {
+    track,
+    update,
+    size: () => tracked.size,
+    snapshot: () => [...tracked.entries()],
+    restore: (entries = []) => {
+      for (const [txHash, info] of entries) tracked.set(txHash, info);
+    },
+  };
+}
+
+module.exports = { createDroppedTxTracker };
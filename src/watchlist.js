@@ -0,0 +1,59 @@
+/**
+ * Address Watchlist
+ *
+ * Wallets whose transactions must never be reorged out unnoticed (hot wallets, bridges, treasury).
+ * Entries come from the chain registry (`watchlist` in chains.js) or the WATCH_ADDRESSES
+ * environment variable, written as `label=0xaddress` pairs separated by commas (the label is optional).
+ */
+
+/**
+ * Parses "hot-wallet=0xabc,bridge=0xdef,0x123" into `[{ address, label }]`.
+ */
+function parseWatchlist(value) {
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const separator = item.indexOf('=');
+      return separator === -1
+        ? { address: item, label: null }
+        : { address: item.slice(separator + 1).trim(), label: item.slice(0, separator).trim() };
+    });
+}
+
+function createWatchlist(entries = []) {
+  const labels = new Map(); // lowercase address -> label
+  for (const entry of entries) {
+    const { address, label = null } = typeof entry === 'string' ? { address: entry } : entry;
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) throw new Error(`Invalid watchlist address "${address}"`);
+    labels.set(address.toLowerCase(), label);
+  }
+
+  /**
+   * Returns how a transaction summary touches watched addresses: `[{ address, label, role }]`,
+   * where role is `from`, `to` (recipient or called contract), `token_from` or `token_to` (ERC-20 transfer).
+   */
+  function match(tx) {
+    const candidates = [
+      ['from', tx.from],
+      ['to', tx.to],
+      ['token_from', tx.tokenTransfer?.from],
+      ['token_to', tx.tokenTransfer?.to],
+    ];
+    const hits = [];
+    for (const [role, address] of candidates) {
+      if (!address) continue;
+      const key = address.toLowerCase();
+      if (labels.has(key)) hits.push({ address: key, label: labels.get(key), role });
+    }
+    return hits;
+  }
+
+  return {
+    size: labels.size,
+    match,
+  };
+}
+
+module.exports = { createWatchlist, parseWatchlist };
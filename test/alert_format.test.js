@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatSlack, formatDiscord, formatFeishu, formatDingTalk, formatWeCom, formatTelegram, formatWebhookText } = require('../src/alert_format');
+
+const hash = (n) => `0x${String(n).repeat(64).slice(0, 64)}`;
+
+const reorg = {
+  severity: 'HIGH',
+  depth: 3,
+  fork_point: { height: 1200, hash: hash(1) },
+  finalized_height: 1100,
+  old_tip: { height: 1203, hash: hash(2) },
+  new_tip: { height: 1203, hash: hash(3) },
+  tx_diff: { dropped: [hash(4), hash(5), hash(6), hash(7), hash(8)], added: [] },
+  incident_id: 'monad-reorg-1',
+};
+
+const context = { chain: 'monad', chainName: 'Monad Mainnet', explorerUrl: 'https://monadscan.com' };
+
+// 测试 Slack Block Kit 渲染：标题、字段、区块浏览器链接和折叠后的交易差异
+test('renders a reorg as Slack Block Kit with explorer links and a collapsed tx diff', () => {
+  const message = formatSlack('REORG', reorg, context);
+
+  assert.equal(message.text, 'REORG on monad: depth 3 at height 1200');
+  assert.equal(message.blocks[0].type, 'header');
+  assert.equal(message.blocks[0].text.text, '🟠 REORG · Monad Mainnet');
+
+  const fields = message.blocks[1].fields.map((f) => f.text);
+  assert.ok(fields.includes('*Chain*\nMonad Mainnet'));
+  assert.ok(fields.includes('*Depth*\n3'));
+  assert.ok(fields.includes(`*Fork point*\n<https://monadscan.com/block/${hash(1)}|1200>`));
+  assert.ok(fields.includes(`*Old hash*\n<https://monadscan.com/block/${hash(2)}|0x222222…222222>`));
+  assert.ok(fields.includes(`*New hash*\n<https://monadscan.com/block/${hash(3)}|0x333333…333333>`));
+
+  const diff = message.blocks[2].text.text;
+  assert.match(diff, /Dropped: 5 \(/);
+  assert.match(diff, /and 2 more\)/);
+  assert.match(diff, new RegExp(`<https://monadscan.com/tx/${hash(4)}\\|0x444444…444444>`));
+  assert.match(diff, /Added: 0/);
+  assert.ok(!JSON.stringify(message).includes(hash(8)), 'unlisted transactions are only counted');
+  assert.equal(message.blocks.at(-1).type, 'context');
+});
+
+// 测试 Discord embed 渲染：按严重级别着色，交易差异放在剧透标签中，无浏览器时不生成链接
+test('renders a Discord embed coloured by severity with the tx diff behind a spoiler', () => {
+  const [embed] = formatDiscord('REORG', { ...reorg, severity: 'CRITICAL' }, context).embeds;
+
+  assert.equal(embed.title, '🔴 REORG');
+  assert.equal(embed.color, 0xd93025);
+  assert.equal(embed.description, 'REORG on Monad Mainnet: depth 3 at height 1200');
+  const field = (name) => embed.fields.find((f) => f.name === name);
+  assert.equal(field('Fork point').value, `[1200](https://monadscan.com/block/${hash(1)})`);
+  assert.equal(field('Severity').value, '🔴 CRITICAL');
+  assert.equal(field('Incident').value, 'monad-reorg-1');
+  assert.match(field('Transactions').value, /^\|\|Dropped: 5 .*\|\|$/s);
+  assert.equal(field('Transactions').inline, false);
+
+  const [plain] = formatDiscord('CHAIN_REWIND', { severity: 'HIGH', from_height: 50, to_height: 40 }, { chain: 'local' }).embeds;
+  assert.equal(plain.fields.find((f) => f.name === 'Heights').value, '50 → 40');
+  assert.ok(!JSON.stringify(plain).includes('http'));
+});
+
+// 测试飞书卡片、钉钉 ActionCard 和企业微信模板卡片的渲染，以及无浏览器链接时退回 markdown
+test('renders Feishu, DingTalk and WeCom cards with explorer buttons and markdown fallbacks', () => {
+  const { card } = formatFeishu('REORG', reorg, context);
+  assert.equal(card.header.template, 'orange');
+  assert.equal(card.header.title.content, '🟠 REORG · Monad Mainnet');
+  assert.ok(card.elements[0].fields.some((f) => f.text.content === `**Fork point**\n[1200](https://monadscan.com/block/${hash(1)})`));
+  assert.deepEqual(card.elements.map((e) => e.tag), ['div', 'hr', 'div', 'note']);
+
+  const dingtalk = formatDingTalk('REORG', reorg, context);
+  assert.equal(dingtalk.msgtype, 'actionCard');
+  assert.equal(dingtalk.actionCard.singleURL, `https://monadscan.com/block/${hash(1)}`);
+  assert.match(dingtalk.actionCard.text, /- Dropped: 5 \(.*and 2 more\)/);
+
+  const wecom = formatWeCom('REORG', reorg, context);
+  assert.equal(wecom.msgtype, 'template_card');
+  assert.equal(wecom.template_card.card_action.url, `https://monadscan.com/block/${hash(1)}`);
+  assert.equal(wecom.template_card.emphasis_content.title, '3');
+  assert.ok(wecom.template_card.horizontal_content_list.length <= 6);
+
+  const rewind = { severity: 'INFO', from_height: 50, to_height: 40 };
+  assert.equal(formatDingTalk('CHAIN_REWIND', rewind, { chain: 'local' }).msgtype, 'markdown');
+  const plain = formatWeCom('CHAIN_REWIND', rewind, { chain: 'local' });
+  assert.equal(plain.msgtype, 'markdown');
+  assert.match(plain.markdown.content, /^## <font color="info">🔵 CHAIN_REWIND · local<\/font>/);
+});
+
+// 测试 Telegram 与通用 webhook 文本：大重组也不超过长度限制，HTML 被转义，其它字段以摘要形式保留
+test('keeps Telegram and webhook texts within their limits with escaped HTML and the remaining fields', () => {
+  const big = {
+    ...reorg,
+    depth: 1,
+    old_branch: [{ height: 1201, hash: hash(2), transactions: Array.from({ length: 20 }, (_, i) => hash(i)) }],
+    new_branch: [{ height: 1201, hash: hash(3), transactions: Array.from({ length: 20 }, (_, i) => hash(i + 20)) }],
+    tx_diff: {
+      dropped: Array.from({ length: 20 }, (_, i) => hash(i)),
+      added: Array.from({ length: 20 }, (_, i) => hash(i + 20)),
+      by_height: [],
+    },
+    note: '<script>&',
+  };
+
+  const telegram = formatTelegram('REORG', big, context);
+  assert.ok(telegram.length < 4096);
+  assert.match(telegram, /^<b>🟠 REORG · Monad Mainnet<\/b>/);
+  assert.match(telegram, /<b>Fork point<\/b>: <a href="https:\/\/monadscan.com\/block\/0x1{64}">1200<\/a>/);
+  assert.match(telegram, /Dropped: 20 \(.*and 17 more\)/);
+  assert.match(telegram, /note: <code>&lt;script&gt;&amp;<\/code>/);
+  assert.ok(!telegram.includes('old_branch'), 'branches are summarized, not dumped');
+
+  const webhook = formatWebhookText('REORG', big, context);
+  assert.ok(webhook.length <= 2000);
+  assert.match(webhook, /^🟠 \*\*REORG\*\* · Monad Mainnet\nChain: Monad Mainnet\nSeverity: HIGH\n/m);
+  assert.match(webhook, /Fork point: 1200 <https:\/\/monadscan.com\/block\/0x1{64}>/);
+
+  const doubleSpend = formatWebhookText('DOUBLE_SPEND_SUSPECTED', { severity: 'CRITICAL', from: '0xA11CE', nonce: 7, dropped_tx: { hash: '0xpay' } }, { chain: 'bsc' });
+  assert.match(doubleSpend, /from: 0xA11CE\nnonce: 7\ndropped_tx: \{"hash":"0xpay"\}/);
+});
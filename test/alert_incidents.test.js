@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAlertRouter } = require('../src/alert_router');
+const { createAlertIncidents } = require('../src/alert_incidents');
+
+function createRecordingRouter(sent, rules = [{ minSeverity: 'HIGH', channels: ['slack'] }]) {
+  const channels = {
+    slack: {
+      async send(type, data) {
+        sent.push({ type, ...data });
+      },
+    },
+  };
+  return createAlertRouter({ chain: 'monad', channels, rules });
+}
+
+// 测试同一次重组的多条相关事件归为一个事件单：只发送一次开启通知，静默期结束后发送一次恢复摘要
+test('groups related events into one incident and sends a resolved summary after the cooldown', async () => {
+  const sent = [];
+  let nowMs = 1_000;
+  const incidents = createAlertIncidents({ chain: 'monad', router: createRecordingRouter(sent), cooldownMs: 60_000, now: () => nowMs });
+
+  await incidents.handle('LOGS_REORGED', { severity: 'INFO', height: 10 }).delivery;
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 3 }).delivery;
+  await incidents.handle('LOGS_REORGED', { severity: 'INFO', height: 9 }).delivery;
+  nowMs += 5_000;
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 3 }).delivery;
+  await incidents.handle('LOGS_REORGED', { severity: 'INFO', height: 10 }).delivery;
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].type, 'REORG');
+  assert.equal(sent[0].incident_id, 'monad-reorg-1000');
+  assert.equal(incidents.openIncidents().length, 1);
+
+  nowMs += 59_999;
+  assert.deepEqual(incidents.resolveQuiet(), []);
+
+  nowMs += 1;
+  const resolved = incidents.resolveQuiet();
+  assert.equal(resolved.length, 1);
+  await resolved[0].delivery;
+  assert.equal(resolved[0].summary.reason, 'quiet');
+  assert.equal(resolved[0].summary.duration_ms, 65_000);
+  assert.deepEqual(resolved[0].summary.event_counts, { REORG: 2, LOGS_REORGED: 2 });
+  assert.equal(resolved[0].summary.suppressed, 1);
+  assert.deepEqual(sent.map((s) => s.type), ['REORG', 'INCIDENT_RESOLVED']);
+  assert.equal(sent[1].incident_id, 'monad-reorg-1000');
+  assert.equal(incidents.openIncidents().length, 0);
+
+  // A later reorg opens a fresh incident
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 4 }).delivery;
+  assert.equal(sent.length, 3);
+  assert.notEqual(sent[2].incident_id, sent[0].incident_id);
+});
+
+// 测试事件单内严重级别升高时再次通知，以及 CHAIN_RESUMED 立即关闭停链事件单
+test('notifies again on escalation and resolves a stall when the chain resumes', async () => {
+  const sent = [];
+  const incidents = createAlertIncidents({ chain: 'bsc', router: createRecordingRouter(sent), cooldownMs: 60_000, now: () => 0 });
+
+  await incidents.handle('CHAIN_REWIND', { severity: 'HIGH' }).delivery;
+  await incidents.handle('REORG', { severity: 'CRITICAL', crosses_finality: true }).delivery;
+  assert.deepEqual(sent.map((s) => [s.type, s.escalated_from]), [['CHAIN_REWIND', undefined], ['REORG', 'HIGH']]);
+
+  // A resume without an open stall incident is ignored
+  assert.equal(incidents.handle('CHAIN_RESUMED', { severity: 'INFO' }).resolved, null);
+
+  await incidents.handle('CHAIN_STALLED', { severity: 'HIGH', height: 100 }).delivery;
+  const { delivery, resolved } = incidents.handle('CHAIN_RESUMED', { severity: 'INFO' });
+  await delivery;
+  assert.equal(resolved.reason, 'CHAIN_RESUMED');
+  assert.equal(resolved.group, 'stall');
+  assert.deepEqual(sent.slice(2).map((s) => s.type), ['CHAIN_STALLED', 'INCIDENT_RESOLVED']);
+  assert.deepEqual(incidents.openIncidents().map((i) => i.group), ['reorg']);
+});
+
+// 测试设置 resolveAfterBlocks 时，事件单需在最后一次事件后链上健康推进足够区块才会恢复
+test('waits for resolveAfterBlocks healthy blocks before resolving', async () => {
+  const sent = [];
+  let nowMs = 0;
+  let height = 100;
+  const incidents = createAlertIncidents({
+    chain: 'monad',
+    router: createRecordingRouter(sent),
+    cooldownMs: 1_000,
+    resolveAfterBlocks: 20,
+    currentHeight: () => height,
+    now: () => nowMs,
+  });
+
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 3 }).delivery;
+  nowMs = 10_000;
+  height = 110;
+  incidents.handle('LOGS_REORGED', { severity: 'HIGH', height: 109 });
+
+  nowMs = 20_000;
+  height = 129;
+  assert.deepEqual(incidents.resolveQuiet(), []);
+
+  height = 130;
+  const [{ summary, delivery }] = incidents.resolveQuiet();
+  await delivery;
+  assert.equal(summary.last_event_height, 110);
+  assert.equal(summary.resolved_height, 130);
+  assert.deepEqual(sent.map((s) => s.type), ['REORG', 'INCIDENT_RESOLVED']);
+});
+
+// 测试按事件身份去重：不同交易的双花、新的分叉点都会单独通知，重复事件才被抑制
+test('notifies each distinct double spend and fork point but suppresses repeats', async () => {
+  const sent = [];
+  let nowMs = 0;
+  const incidents = createAlertIncidents({ chain: 'bsc', router: createRecordingRouter(sent), cooldownMs: 300_000, now: () => nowMs });
+
+  await incidents.handle('DOUBLE_SPEND_SUSPECTED', { severity: 'CRITICAL', from: '0xA', nonce: 7 }).delivery;
+  nowMs = 60_000;
+  await incidents.handle('DOUBLE_SPEND_SUSPECTED', { severity: 'CRITICAL', from: '0xB', nonce: 1 }).delivery;
+  await incidents.handle('DOUBLE_SPEND_SUSPECTED', { severity: 'CRITICAL', from: '0xa', nonce: 7 }).delivery;
+
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 3, fork_point: { height: 100, hash: '0xf100' } }).delivery;
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 3, fork_point: { height: 100, hash: '0xf100' } }).delivery;
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 7, fork_point: { height: 96, hash: '0xf96' } }).delivery;
+
+  assert.deepEqual(sent.map((s) => [s.type, s.from ?? s.depth]), [
+    ['DOUBLE_SPEND_SUSPECTED', '0xA'],
+    ['DOUBLE_SPEND_SUSPECTED', '0xB'],
+    ['REORG', 3],
+    ['REORG', 7],
+  ]);
+  assert.equal(sent[3].incident_id, sent[2].incident_id);
+  assert.equal(sent[3].escalated_from, undefined);
+});
+
+// 测试未路由到任何渠道的事件（如 INFO 级别的日志变化）不会刷新静默期，事件单照常恢复
+test('does not keep an incident open with events no channel receives', async () => {
+  const sent = [];
+  let nowMs = 0;
+  const incidents = createAlertIncidents({ chain: 'polygon', router: createRecordingRouter(sent), cooldownMs: 60_000, now: () => nowMs });
+
+  await incidents.handle('REORG', { severity: 'HIGH', depth: 3, fork_point: { height: 10, hash: '0xf10' } }).delivery;
+  for (nowMs = 10_000; nowMs < 60_000; nowMs += 10_000) {
+    incidents.handle('LOGS_REORGED', { severity: 'INFO', height: 20 });
+  }
+
+  nowMs = 60_000;
+  const [{ summary, delivery }] = incidents.resolveQuiet();
+  await delivery;
+  assert.equal(summary.event_counts.LOGS_REORGED, 5);
+  assert.equal(summary.suppressed, 0);
+  assert.deepEqual(sent.map((s) => s.type), ['REORG', 'INCIDENT_RESOLVED']);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAlertQueue } = require('../src/alert_queue');
+const { createMemoryStateStore } = require('../src/state_store');
+
+// 测试发送失败时按指数退避重试，成功后记录投递状态
+test('retries a failed channel with exponential backoff until it is delivered', async () => {
+  let nowMs = 0;
+  let failuresLeft = 2;
+  const sent = [];
+  const retries = [];
+  const queue = createAlertQueue({
+    now: () => nowMs,
+    baseDelayMs: 1000,
+    send: async (channel, type, event) => {
+      if (channel === 'telegram' && failuresLeft-- > 0) throw new Error('502 Bad Gateway');
+      sent.push([channel, type, event.depth]);
+    },
+    onAttemptFailed: (entry) => retries.push([entry.attempts, entry.next_attempt_at]),
+  });
+
+  await queue.enqueue(['telegram', 'slack'], 'REORG', { depth: 3n });
+  assert.deepEqual(sent, [['slack', 'REORG', '3']]);
+  assert.deepEqual(queue.stats(), { pending: 1, delivered: 1, failed: 0 });
+
+  nowMs = 999;
+  await queue.processDue();
+  assert.equal(sent.length, 1);
+
+  nowMs = 1000;
+  await queue.processDue();
+  nowMs = 3000;
+  await queue.processDue();
+  assert.deepEqual(retries, [[1, 1000], [2, 3000]]);
+  assert.deepEqual(sent.at(-1), ['telegram', 'REORG', '3']);
+
+  const telegram = queue.list().find((entry) => entry.channel === 'telegram');
+  assert.equal(telegram.status, 'delivered');
+  assert.equal(telegram.attempts, 3);
+  assert.equal(telegram.delivered_at, 3000);
+});
+
+// 测试重试次数用尽后标记为 failed 并回调 onFailed
+test('gives up after maxAttempts and reports the alert as failed', async () => {
+  let nowMs = 0;
+  const failed = [];
+  const queue = createAlertQueue({
+    now: () => nowMs,
+    maxAttempts: 3,
+    baseDelayMs: 10,
+    send: async () => {
+      throw new Error('ECONNREFUSED');
+    },
+    onFailed: (entry) => failed.push(entry),
+  });
+
+  await queue.enqueue(['telegram'], 'CHAIN_REWIND', { from_height: 20, to_height: 10 });
+  for (nowMs = 10; nowMs <= 100; nowMs += 10) await queue.processDue();
+
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].attempts, 3);
+  assert.equal(failed[0].last_error, 'ECONNREFUSED');
+  assert.deepEqual(queue.stats(), { pending: 0, delivered: 0, failed: 1 });
+});
+
+// 测试不可重试的错误（如 401、400 消息过长）直接标记为 failed，不占用重试次数
+test('fails an entry right away when the channel marks the error as not retryable', async () => {
+  const failed = [];
+  const retried = [];
+  const queue = createAlertQueue({
+    now: () => 0,
+    send: async (channel) => {
+      const err = new Error(channel === 'telegram' ? 'Telegram responded 400: message is too long' : '503 Service Unavailable');
+      err.retryable = channel !== 'telegram';
+      throw err;
+    },
+    onAttemptFailed: (entry) => retried.push(entry.channel),
+    onFailed: (entry) => failed.push(entry),
+  });
+
+  await queue.enqueue(['telegram', 'slack'], 'REORG', { depth: 3 });
+
+  assert.deepEqual(failed.map((entry) => [entry.channel, entry.attempts, entry.last_error]), [
+    ['telegram', 1, 'Telegram responded 400: message is too long'],
+  ]);
+  assert.deepEqual(retried, ['slack']);
+  assert.deepEqual(queue.stats(), { pending: 1, delivered: 0, failed: 1 });
+});
+
+// 测试进程重启后从存储恢复未投递的告警并继续重试
+test('resumes pending alerts from the store after a restart', async () => {
+  const store = createMemoryStateStore();
+  let nowMs = 0;
+  const first = createAlertQueue({
+    store,
+    now: () => nowMs,
+    send: async () => {
+      throw new Error('Telegram outage');
+    },
+  });
+  await first.enqueue(['telegram'], 'GENESIS_CHANGED', { old_hash: '0xa', new_hash: '0xb' });
+  await first.flush();
+
+  nowMs = 60_000;
+  const sent = [];
+  const second = createAlertQueue({
+    store,
+    now: () => nowMs,
+    send: async (channel, type, event) => sent.push([channel, type, event.new_hash]),
+  });
+  await second.processDue();
+
+  assert.deepEqual(sent, [['telegram', 'GENESIS_CHANGED', '0xb']]);
+  assert.deepEqual(second.stats(), { pending: 0, delivered: 1, failed: 0 });
+  await second.flush();
+  const saved = await store.load();
+  assert.equal(saved.entries[0].status, 'delivered');
+  assert.equal(saved.entries[0].attempts, 2);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createAlertRouter, createAlertRouterFromConfig, createDefaultAlertRouter } = require('../src/alert_router');
+
+function recordingChannel(name, sent, { fail = false } = {}) {
+  return {
+    name,
+    type: 'test',
+    async send(type, data) {
+      if (fail) throw new Error(`${name} is down`);
+      sent.push({ channel: name, type, severity: data.severity });
+    },
+  };
+}
+
+// 测试按链、事件类型与最低严重级别路由：首条命中的规则生效，continue 时继续匹配后续规则
+test('routes events by chain, event type and minimum severity', async () => {
+  const sent = [];
+  const channels = {
+    telegram: recordingChannel('telegram', sent),
+    pager: recordingChannel('pager', sent),
+    slack: recordingChannel('slack', sent),
+  };
+  const rules = [
+    { chains: ['monad'], events: ['CHAIN_REWIND'], minSeverity: 'HIGH', channels: ['telegram', 'pager'] },
+    { chains: ['bsc'], events: ['BLOCK_REPLACED'], channels: ['slack'] },
+    { minSeverity: 'HIGH', channels: ['telegram'], continue: true },
+    { events: ['GENESIS_CHANGED'], channels: ['pager'] },
+  ];
+
+  const monad = createAlertRouter({ chain: 'monad', channels, rules });
+  assert.deepEqual(monad.route('CHAIN_REWIND', { severity: 'HIGH' }), ['telegram', 'pager']);
+  assert.deepEqual(monad.route('CHAIN_REWIND', { severity: 'INFO' }), []);
+  assert.deepEqual(monad.route('BLOCK_REPLACED', { severity: 'INFO' }), []);
+  assert.deepEqual(monad.route('GENESIS_CHANGED', { severity: 'CRITICAL' }), ['telegram', 'pager']);
+  assert.deepEqual(monad.route('BLOCK_RECEIVED', {}), []);
+
+  const bsc = createAlertRouter({ chain: 'bsc', channels, rules });
+  assert.deepEqual(bsc.route('BLOCK_REPLACED', { severity: 'INFO' }), ['slack']);
+  assert.deepEqual(bsc.route('CHAIN_REWIND', { severity: 'HIGH' }), ['telegram']);
+
+  const results = await monad.dispatch('CHAIN_REWIND', { severity: 'CRITICAL' });
+  assert.deepEqual(results.map((r) => [r.channel, r.ok]), [['telegram', true], ['pager', true]]);
+  assert.deepEqual(sent.map((s) => s.channel), ['telegram', 'pager']);
+});
+
+// 测试单个渠道发送失败不影响其它渠道，并在结果中返回错误
+test('reports a failing channel without holding back the others', async () => {
+  const sent = [];
+  const router = createAlertRouter({
+    channels: { broken: recordingChannel('broken', sent, { fail: true }), slack: recordingChannel('slack', sent) },
+    rules: [{ channels: ['broken', 'slack'] }],
+  });
+
+  const results = await router.dispatch('REORG', { severity: 'HIGH' });
+  assert.equal(results[0].ok, false);
+  assert.match(results[0].error.message, /broken is down/);
+  assert.equal(results[1].ok, true);
+  assert.deepEqual(sent.map((s) => s.channel), ['slack']);
+});
+
+// 测试路由配置校验，以及配置文件中 ${VAR} 的环境变量替换与只创建本链用到的渠道
+test('validates rules and builds channels from config with env substitution', async () => {
+  assert.throws(() => createAlertRouter({ rules: [{ channels: ['nowhere'] }] }), /unknown channel "nowhere"/);
+  assert.throws(() => createAlertRouter({ channels: { a: {} }, rules: [{ channels: ['a'], minSeverity: 'LOUD' }] }), /Unknown severity "LOUD"/);
+
+  const config = {
+    channels: {
+      slack: { type: 'webhook', url: '${SLACK_URL}' },
+      bsc_only: { type: 'telegram', botToken: '${BSC_BOT_TOKEN}', chatId: '1' },
+    },
+    rules: [
+      { chains: ['bsc'], channels: ['bsc_only'] },
+      { minSeverity: 'HIGH', channels: ['slack'] },
+    ],
+  };
+  assert.throws(
+    () => createAlertRouterFromConfig({ chain: 'bsc', config, env: { SLACK_URL: 'https://hooks.example/slack' } }),
+    /Channel "bsc_only": environment variable BSC_BOT_TOKEN is not set/
+  );
+
+  const router = createAlertRouterFromConfig({ chain: 'monad', config, env: { SLACK_URL: 'https://hooks.example/slack' } });
+  assert.deepEqual(router.channelNames, ['slack']);
+
+  const requests = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    requests.push({ url, body: JSON.parse(init.body) });
+    return { ok: true };
+  };
+  try {
+    await router.dispatch('REORG', { severity: 'HIGH', depth: 3 });
+  } finally {
+    global.fetch = originalFetch;
+  }
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, 'https://hooks.example/slack');
+  assert.match(requests[0].body.text, /\*\*REORG\*\*/);
+});
+
+// 测试默认路由：PagerDuty/Opsgenie 等寻呼渠道只接收 CRITICAL，聊天渠道按最低严重级别接收
+test('default routing pages only on CRITICAL and sends the rest to chat channels', () => {
+  const channel = (type) => ({ type, send: async () => {} });
+  const router = createDefaultAlertRouter({
+    channels: { webhook: channel('webhook'), pagerduty: channel('pagerduty') },
+    minSeverity: 'HIGH',
+  });
+
+  assert.deepEqual(router.route('REORG', { severity: 'HIGH' }), ['webhook']);
+  assert.deepEqual(router.route('FINALITY_VIOLATION', { severity: 'CRITICAL' }), ['pagerduty', 'webhook']);
+  assert.deepEqual(router.route('HOURLY_THREAT_REPORT', { severity: 'CRITICAL' }), ['webhook']);
+  assert.deepEqual(router.route('TICK_OVERRUN', { severity: 'WARNING' }), []);
+});
@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { createChannel, createEnvChannels, createEmailChannel } = require('../src/alert_send');
+
+async function captureFetch(fn, { status = 202, reply = {} } = {}) {
+  const requests = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return { ok: status < 300, status, text: async () => 'upstream says no', json: async () => reply };
+  };
+  try {
+    await fn();
+  } finally {
+    global.fetch = originalFetch;
+  }
+  return requests;
+}
+
+const reorg = {
+  severity: 'CRITICAL',
+  depth: 3,
+  fork_point: { height: 1200, hash: '0xfork' },
+  crosses_finality: true,
+  incident_id: 'monad-reorg-1700000000000',
+};
+
+const resolved = {
+  incident_id: 'monad-reorg-1700000000000',
+  severity: 'CRITICAL',
+  duration_ms: 90_000,
+  event_counts: { REORG: 1, BLOCK_REPLACED: 3 },
+};
+
+// 测试 PagerDuty 通道以 incident_id 作为 dedup_key 触发事件，并在 INCIDENT_RESOLVED 时发送 resolve
+test('PagerDuty triggers with the incident id as dedup key and resolves it', async () => {
+  const channel = createChannel('pd', { type: 'pagerduty', routingKey: 'rk-123', chain: 'monad' });
+
+  const requests = await captureFetch(async () => {
+    await channel.send('REORG', reorg);
+    await channel.send('INCIDENT_RESOLVED', resolved);
+  });
+
+  assert.equal(requests[0].url, 'https://events.pagerduty.com/v2/enqueue');
+  assert.equal(requests[0].body.event_action, 'trigger');
+  assert.equal(requests[0].body.routing_key, 'rk-123');
+  assert.equal(requests[0].body.dedup_key, 'monad-reorg-1700000000000');
+  assert.equal(requests[0].body.payload.severity, 'critical');
+  assert.equal(requests[0].body.payload.summary, 'REORG on monad: depth 3 at height 1200');
+  assert.equal(requests[0].body.payload.source, 'reorg-monitor/monad');
+  assert.deepEqual(requests[1].body, { routing_key: 'rk-123', event_action: 'resolve', dedup_key: 'monad-reorg-1700000000000' });
+});
+
+// 测试 Opsgenie 通道使用 alias 去重并在恢复时关闭告警；HTTP 错误会抛出异常以便重试
+test('Opsgenie opens an alert by alias, closes it on resolve and rejects on HTTP errors', async () => {
+  const channel = createChannel('og', { type: 'opsgenie', apiKey: 'key-1', chain: 'monad', apiUrl: 'https://api.eu.opsgenie.com' });
+
+  const requests = await captureFetch(async () => {
+    await channel.send('REORG', reorg);
+    await channel.send('INCIDENT_RESOLVED', resolved);
+  });
+
+  assert.equal(requests[0].url, 'https://api.eu.opsgenie.com/v2/alerts');
+  assert.equal(requests[0].headers.Authorization, 'GenieKey key-1');
+  assert.equal(requests[0].body.alias, 'monad-reorg-1700000000000');
+  assert.equal(requests[0].body.priority, 'P1');
+  assert.deepEqual(requests[0].body.tags, ['monad', 'REORG']);
+  assert.equal(requests[0].body.details.fork_point, '{"height":1200,"hash":"0xfork"}');
+  assert.equal(requests[1].url, 'https://api.eu.opsgenie.com/v2/alerts/monad-reorg-1700000000000/close?identifierType=alias');
+
+  await captureFetch(async () => {
+    await assert.rejects(channel.send('REORG', reorg), (err) => {
+      assert.match(err.message, /api\.eu\.opsgenie\.com responded 422: upstream says no/);
+      assert.equal(err.retryable, false);
+      return true;
+    });
+  }, { status: 422 });
+  await captureFetch(async () => {
+    await assert.rejects(channel.send('REORG', reorg), (err) => err.retryable === true);
+  }, { status: 503 });
+
+  assert.throws(() => createChannel('pd', { type: 'pagerduty' }), /Channel "pd": routingKey is required/);
+  assert.throws(() => createChannel('x', { type: 'carrier-pigeon' }), /unknown type "carrier-pigeon"/);
+});
+
+// 测试 ALERT_WEBHOOK_URL 指向 Slack 或 Discord 时自动使用原生格式
+test('picks the Slack or Discord format from the ALERT_WEBHOOK_URL host', async () => {
+  const channelFor = (webhookUrl) => createEnvChannels({
+    chain: 'monad',
+    chainName: 'Monad Mainnet',
+    webhookUrl,
+    telegramBotToken: null,
+    pagerDutyRoutingKey: null,
+    opsgenieApiKey: null,
+  }).webhook;
+
+  assert.equal(channelFor('https://hooks.slack.com/services/T/B/x').type, 'slack');
+  assert.equal(channelFor('https://discord.com/api/webhooks/1/abc').type, 'discord');
+  assert.equal(channelFor('https://hooks.example/alert').type, 'webhook');
+
+  const requests = await captureFetch(async () => {
+    await channelFor('https://discord.com/api/webhooks/1/abc').send('REORG', reorg);
+  });
+  assert.equal(requests[0].body.embeds[0].title, '🔴 REORG');
+});
+
+// 测试飞书与钉钉加签：飞书签名放在消息体中，钉钉签名放在 URL 查询参数中
+test('signs Feishu messages in the body and DingTalk messages in the query string', async () => {
+  const feishu = createChannel('lark', { type: 'lark', url: 'https://open.larksuite.com/open-apis/bot/v2/hook/abc', secret: 's3cret', chain: 'monad' });
+  const dingtalk = createChannel('dt', { type: 'dingtalk', url: 'https://oapi.dingtalk.com/robot/send?access_token=tok', secret: 's3cret', chain: 'monad' });
+
+  const requests = await captureFetch(async () => {
+    await feishu.send('REORG', reorg);
+    await dingtalk.send('REORG', reorg);
+  }, { reply: { code: 0, errcode: 0 } });
+
+  const { timestamp, sign, msg_type } = requests[0].body;
+  assert.equal(msg_type, 'interactive');
+  assert.equal(sign, crypto.createHmac('sha256', `${timestamp}\n${'s3cret'}`).update('').digest('base64'));
+
+  const url = new URL(requests[1].url);
+  assert.equal(url.searchParams.get('access_token'), 'tok');
+  const ts = url.searchParams.get('timestamp');
+  assert.equal(url.searchParams.get('sign'), crypto.createHmac('sha256', 's3cret').update(`${ts}\ns3cret`).digest('base64'));
+  assert.equal(requests[1].body.msgtype, 'markdown');
+});
+
+// 测试机器人接口返回 HTTP 200 但消息体带错误码时视为发送失败
+test('rejects when a Chinese IM bot answers 200 with an error code', async () => {
+  const wecom = createChannel('wecom', { type: 'wecom', url: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=k' });
+  const feishu = createChannel('feishu', { type: 'feishu', url: 'https://open.feishu.cn/open-apis/bot/v2/hook/abc' });
+
+  await captureFetch(async () => {
+    await assert.rejects(wecom.send('REORG', reorg), (err) => {
+      assert.match(err.message, /qyapi\.weixin\.qq\.com rejected the message: 93000 invalid webhook url/);
+      assert.equal(err.retryable, false);
+      return true;
+    });
+  }, { status: 200, reply: { errcode: 93000, errmsg: 'invalid webhook url' } });
+  await captureFetch(async () => {
+    await assert.rejects(wecom.send('REORG', reorg), (err) => err.retryable === true);
+  }, { status: 200, reply: { errcode: 45009, errmsg: 'api freq out of limit' } });
+  await captureFetch(async () => {
+    await assert.rejects(feishu.send('REORG', reorg), /open\.feishu\.cn rejected the message: 19021 sign match fail/);
+  }, { status: 200, reply: { code: 19021, msg: 'sign match fail' } });
+  await captureFetch(async () => {
+    await wecom.send('REORG', reorg);
+  }, { status: 200, reply: { errcode: 0, errmsg: 'ok' } });
+
+  assert.throws(() => createChannel('dt', { type: 'dingtalk' }), /Channel "dt": url is required/);
+});
+
+// 测试邮件通道：按严重级别选择收件人，包含 HTML 报告、纯文本备选和完整事件的 JSON 附件
+test('emails an HTML report with a text fallback and the event as JSON to the recipients of its severity', async () => {
+  const mails = [];
+  const channel = createEmailChannel({
+    from: 'monitor@example.com',
+    to: { INFO: 'ops@example.com, dev@example.com', CRITICAL: ['oncall@example.com', 'ops@example.com'] },
+    chain: 'monad',
+    chainName: 'Monad Mainnet',
+    explorerUrl: 'https://monadscan.com',
+    transport: {
+      name: 'capture',
+      version: '1',
+      send(mail, callback) {
+        mails.push(mail.data);
+        callback(null, { messageId: String(mails.length) });
+      },
+    },
+  });
+
+  await channel.send('REORG', {
+    ...reorg,
+    old_branch: [{ height: 1201, hash: '0xold', transactions: ['0xtx1', '0xtx2'] }],
+    new_branch: [{ height: 1201, hash: '0xnew', transactions: ['0xtx2'] }],
+    tx_diff: { dropped: ['0xtx1'], added: [] },
+    value: 10n,
+  });
+  await channel.send('CHAIN_REWIND', { severity: 'HIGH', from_height: 50, to_height: 40 });
+
+  assert.deepEqual(mails[0].to, ['ops@example.com', 'dev@example.com', 'oncall@example.com']);
+  assert.deepEqual(mails[1].to, ['ops@example.com', 'dev@example.com']);
+  assert.equal(mails[0].from, 'monitor@example.com');
+  assert.equal(mails[0].subject, '[CRITICAL] REORG on Monad Mainnet: depth 3 at height 1200');
+  assert.match(mails[0].html, /<h3>Old vs new branch<\/h3>/);
+  assert.match(mails[0].html, /<td [^>]*>1201<\/td><td [^>]*><a href="https:\/\/monadscan.com\/block\/0xold">0xold<\/a> \(2 txs\)/);
+  assert.match(mails[0].html, /<a href="https:\/\/monadscan.com\/tx\/0xtx1">0xtx1<\/a>/);
+  assert.match(mails[0].text, /1201: 0xold -> 0xnew/);
+  assert.match(mails[0].text, /Dropped: 1\n {4}0xtx1/);
+
+  const [attachment] = mails[0].attachments;
+  assert.equal(attachment.filename, 'monad-REORG.json');
+  assert.equal(JSON.parse(attachment.content).value, '10');
+  assert.equal(JSON.parse(attachment.content).incident_id, 'monad-reorg-1700000000000');
+});
+
+// 测试邮件通道配置校验，以及没有订阅该严重级别的收件人时不发送
+test('validates email settings and skips severities nobody subscribed to', async () => {
+  assert.throws(() => createChannel('mail', { type: 'email', host: 'smtp.example.com' }), /Channel "mail": to is required/);
+  assert.throws(() => createChannel('mail', { type: 'email', to: 'a@example.com' }), /host or service is required/);
+  assert.throws(
+    () => createChannel('mail', { type: 'email', host: 'smtp.example.com', to: { SEVERE: 'a@example.com' } }),
+    /unknown severity "SEVERE"/
+  );
+
+  let sent = 0;
+  const channel = createChannel('mail', {
+    type: 'email',
+    to: { CRITICAL: 'oncall@example.com' },
+    transport: { name: 'capture', version: '1', send: (mail, callback) => callback(null, { messageId: String(++sent) }) },
+  });
+  await channel.send('TIMESTAMP_IN_FUTURE', { severity: 'WARNING' });
+  assert.equal(sent, 0);
+});
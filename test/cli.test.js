@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+const os = require('node:os');
+const path = require('node:path');
+
+const { main, formatEvents } = require('../src/cli');
+
+const records = [
+  { timestamp: '2026-01-01T00:00:00.000Z', chain: 'monad', event_type: 'CHAIN_REWIND', severity: 'CRITICAL', from_height: 9, to_height: 7 },
+  { timestamp: '2026-01-02T00:00:00.000Z', chain: 'monad', event_type: 'REORG', severity: 'CRITICAL', depth: 2, fork_point: { height: 5, hash: '0xabc' } },
+];
+
+function captureStdout() {
+  let text = '';
+  return { write: (chunk) => { text += chunk; }, text: () => text };
+}
+
+// 测试 table / csv / json 三种输出格式
+test('formats events as table, csv and json', () => {
+  assert.equal(formatEvents(records, 'table'), [
+    'TIMESTAMP                 TYPE          SEVERITY  DETAILS',
+    '2026-01-01T00:00:00.000Z  CHAIN_REWIND  CRITICAL  from_height=9 to_height=7',
+    '2026-01-02T00:00:00.000Z  REORG         CRITICAL  depth=2 fork_point={"height":5,"hash":"0xabc"}',
+    '',
+  ].join('\n'));
+
+  assert.equal(formatEvents(records, 'csv'), [
+    'timestamp,chain,event_type,severity,data',
+    '2026-01-01T00:00:00.000Z,monad,CHAIN_REWIND,CRITICAL,"{""from_height"":9,""to_height"":7}"',
+    '2026-01-02T00:00:00.000Z,monad,REORG,CRITICAL,"{""depth"":2,""fork_point"":{""height"":5,""hash"":""0xabc""}}"',
+    '',
+  ].join('\n'));
+
+  assert.deepEqual(JSON.parse(formatEvents(records, 'json')), records);
+  assert.equal(formatEvents([], 'table'), 'No events found.\n');
+});
+
+// 测试 events 子命令从事件存储中按链、类型和时间查询
+test('events command reads the chain event store with --type and --since', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reorg-cli-'));
+  try {
+    await fs.writeFile(path.join(dir, 'monad.events.jsonl'), records.map((r) => JSON.stringify(r)).join('\n') + '\n');
+    const stdout = captureStdout();
+    await main(['events', '--chain', 'monad', '--type', 'CHAIN_REWIND,REORG', '--since', '24h', '--format', 'json'], {
+      stdout,
+      stateDir: dir,
+      now: () => Date.parse('2026-01-02T12:00:00.000Z'),
+    });
+    assert.deepEqual(JSON.parse(stdout.text()).map((r) => r.event_type), ['REORG']);
+
+    await assert.rejects(
+      main(['events', '--chain', 'monad', '--format', 'xml'], { stdout: captureStdout(), stateDir: dir }),
+      /Unknown format "xml"/
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// 测试以子进程运行 CLI 时，json / csv 输出中没有其他内容混入 stdout
+test('prints nothing but the events on stdout when run as a process', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reorg-cli-'));
+  try {
+    await fs.writeFile(path.join(dir, 'monad.events.jsonl'), records.map((r) => JSON.stringify(r)).join('\n') + '\n');
+    const run = (format) => promisify(execFile)(process.execPath, [
+      path.join(__dirname, '..', 'src', 'cli.js'), 'events', '--chain', 'monad', '--format', format,
+    ], { env: { ...process.env, STATE_DIR: dir } });
+
+    const json = await run('json');
+    assert.deepEqual(JSON.parse(json.stdout), records);
+
+    const csv = await run('csv');
+    assert.equal(csv.stdout, formatEvents(records, 'csv'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// 测试 run 子命令遇到拼错的参数时直接报错，而不是用默认链启动
+test('run command rejects unknown flags instead of starting on the default chain', async () => {
+  await assert.rejects(main(['run', '--chian', 'monad'], { stdout: captureStdout() }), /Unknown option '--chian'/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEventBuffer } = require('../src/event_buffer');
+
+// 测试环形缓冲区写满后覆盖最旧的事件，并按类型、时间和数量过滤
+test('keeps the newest events and filters by type, since and limit', () => {
+  let nowMs = 1000;
+  const buffer = createEventBuffer({ capacity: 3, now: () => nowMs });
+
+  for (const type of ['BLOCK_RECEIVED', 'REORG', 'BLOCK_RECEIVED', 'REORG']) {
+    buffer.push(type, { at: nowMs });
+    nowMs += 10;
+  }
+
+  assert.equal(buffer.size(), 3);
+  assert.deepEqual(buffer.query().map((e) => e.seq), [2, 3, 4]);
+  assert.deepEqual(buffer.query({ type: 'REORG' }).map((e) => e.data.at), [1010, 1030]);
+  assert.deepEqual(buffer.query({ since: 1020 }).map((e) => e.seq), [3, 4]);
+  assert.deepEqual(buffer.query({ limit: 1 }).map((e) => e.seq), [4]);
+});
+
+// 测试排除的高频事件类型不会进入缓冲区，也不会挤掉其他事件
+test('skips excluded event types', () => {
+  const buffer = createEventBuffer({ capacity: 2, excludeTypes: ['BLOCK_RECEIVED', 'TICK_STATS'] });
+
+  buffer.push('REORG', { depth: 1 });
+  for (let i = 0; i < 5; i++) {
+    buffer.push('BLOCK_RECEIVED', { height: i });
+    buffer.push('TICK_STATS', {});
+  }
+  buffer.push('CHAIN_REWIND', {});
+
+  assert.deepEqual(buffer.query().map((e) => e.type), ['REORG', 'CHAIN_REWIND']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createFileEventStore, queryEvents } = require('../src/event_store');
+
+// 测试事件写入 JSONL 文件后可按类型、时间范围和数量查询，且默认跳过逐块的噪音事件
+test('appends events and queries them by type, time range and limit', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reorg-events-'));
+  try {
+    const filePath = path.join(dir, 'nested', 'monad.events.jsonl');
+    let nowMs = Date.parse('2026-01-01T00:00:00Z');
+    const store = createFileEventStore({ filePath, chain: 'monad', now: () => nowMs });
+
+    store.append('BLOCK_RECEIVED', { height: 1 });
+    store.append('REORG', { depth: 2, severity: 'CRITICAL' });
+    nowMs += 3_600_000;
+    store.append('CHAIN_REWIND', { from_height: 9, to_height: 7, value: 5n });
+    nowMs += 3_600_000;
+    store.append('REORG', { depth: 1 });
+    await store.flush();
+
+    const all = await queryEvents(filePath);
+    assert.deepEqual(all.map((e) => e.event_type), ['REORG', 'CHAIN_REWIND', 'REORG']);
+    assert.deepEqual(all[0], {
+      timestamp: '2026-01-01T00:00:00.000Z',
+      chain: 'monad',
+      event_type: 'REORG',
+      depth: 2,
+      severity: 'CRITICAL',
+    });
+    assert.equal(all[1].value, '5');
+
+    assert.deepEqual((await queryEvents(filePath, { types: ['REORG'] })).map((e) => e.depth), [2, 1]);
+    const window = await queryEvents(filePath, {
+      since: Date.parse('2026-01-01T00:30:00Z'),
+      until: Date.parse('2026-01-01T01:30:00Z'),
+    });
+    assert.deepEqual(window.map((e) => e.event_type), ['CHAIN_REWIND']);
+    assert.deepEqual((await queryEvents(filePath, { limit: 1 })).map((e) => e.depth), [1]);
+    assert.deepEqual(await queryEvents(path.join(dir, 'missing.jsonl')), []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHeadSubscription } = require('../src/head_subscription');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class FakeWsClient {
+  subscriptions = [];
+
+  watchBlocks({ onBlock, onError }) {
+    const sub = { onBlock, onError, active: true };
+    this.subscriptions.push(sub);
+    return () => {
+      sub.active = false;
+    };
+  }
+
+  get current() {
+    return this.subscriptions.at(-1);
+  }
+}
+
+// 测试 newHeads 断开后是否自动重新订阅，并通知连接状态变化
+test('forwards heads and resubscribes after the socket errors', async () => {
+  const client = new FakeWsClient();
+  const heads = [];
+  const statuses = [];
+
+  const subscription = createHeadSubscription({
+    client,
+    onHead: (head) => heads.push(head.number),
+    onStatusChange: ({ connected }) => statuses.push(connected),
+    resubscribeDelayMs: 1,
+    headTimeoutMs: 0,
+  });
+
+  subscription.start();
+  client.current.onBlock({ number: 1n });
+  assert.equal(subscription.isConnected(), true);
+
+  client.current.onError(new Error('socket closed'));
+  assert.equal(subscription.isConnected(), false);
+  assert.equal(client.subscriptions[0].active, false);
+
+  await sleep(10);
+  assert.equal(client.subscriptions.length, 2, 'expected a new subscription');
+  client.current.onBlock({ number: 2n });
+
+  assert.deepEqual(heads, [1n, 2n]);
+  assert.deepEqual(statuses, [true, false, true]);
+  subscription.stop();
+});
+
+// 测试长时间没有收到新区块头时是否视为断线
+test('treats a silent socket as disconnected', async () => {
+  const client = new FakeWsClient();
+  const statuses = [];
+
+  const subscription = createHeadSubscription({
+    client,
+    onHead: () => {},
+    onStatusChange: ({ connected }) => statuses.push(connected),
+    resubscribeDelayMs: 1000,
+    headTimeoutMs: 5,
+  });
+
+  subscription.start();
+  client.current.onBlock({ number: 1n });
+  await sleep(20);
+
+  assert.deepEqual(statuses, [true, false]);
+  subscription.stop();
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHttpServer } = require('../src/http_server');
+
+// 测试路由分发、404 以及处理函数出错时返回 500
+test('serves routes and answers 404/500 for unknown paths and failing handlers', async () => {
+  const errors = [];
+  const server = createHttpServer({
+    port: 0,
+    host: '127.0.0.1',
+    routes: {
+      '/metrics': () => ({ contentType: 'text/plain; version=0.0.4', body: 'up 1\n' }),
+      '/broken': () => {
+        throw new Error('boom');
+      },
+    },
+    onError: (err) => errors.push(err.message),
+  });
+  const port = await server.listen();
+  try {
+    const ok = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.equal(ok.status, 200);
+    assert.equal(ok.headers.get('content-type'), 'text/plain; version=0.0.4');
+    assert.equal(await ok.text(), 'up 1\n');
+
+    assert.equal((await fetch(`http://127.0.0.1:${port}/nope`)).status, 404);
+    assert.equal((await fetch(`http://127.0.0.1:${port}/broken`)).status, 500);
+    assert.deepEqual(errors, ['boom']);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMetricsRegistry } = require('../src/metrics');
+
+// 测试 Prometheus 文本格式的输出：counter、gauge 和 histogram 的累计桶
+test('renders counters, gauges and cumulative histogram buckets', () => {
+  const registry = createMetricsRegistry();
+  const events = registry.counter('events_total', 'Events');
+  const height = registry.gauge('height', 'Height');
+  const depth = registry.histogram('depth', 'Depth', [1, 3]);
+
+  events.inc({ chain: 'monad', type: 'REORG' });
+  events.inc({ chain: 'monad', type: 'REORG' });
+  height.set({ chain: 'monad' }, 42);
+  depth.observe({ chain: 'monad' }, 2);
+  depth.observe({ chain: 'monad' }, 5);
+
+  assert.equal(registry.render(), [
+    '# HELP events_total Events',
+    '# TYPE events_total counter',
+    'events_total{chain="monad",type="REORG"} 2',
+    '# HELP height Height',
+    '# TYPE height gauge',
+    'height{chain="monad"} 42',
+    '# HELP depth Depth',
+    '# TYPE depth histogram',
+    'depth_bucket{chain="monad",le="1"} 0',
+    'depth_bucket{chain="monad",le="3"} 1',
+    'depth_bucket{chain="monad",le="+Inf"} 2',
+    'depth_sum{chain="monad"} 7',
+    'depth_count{chain="monad"} 2',
+    '',
+  ].join('\n'));
+  assert.throws(() => registry.gauge('height', 'Again'), /already registered/);
+});
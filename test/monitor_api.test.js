@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMonitorRoutes, parseSince } = require('../src/monitor_api');
+const { createEventBuffer } = require('../src/event_buffer');
+
+function stubMonitor({ healthy = true } = {}) {
+  return {
+    getHealth: () => ({
+      healthy,
+      reasons: healthy ? [] : ['No new block processed for 300s'],
+      last_block_age_ms: healthy ? 1000 : 300_000,
+      consecutive_error_ticks: 0,
+      processed_height: 12,
+    }),
+    getState: () => ({
+      blockCache: new Map([[10, {}], [11, {}], [12, {}]]),
+      lastChainId: 143,
+      lastGenesisHash: '0xgenesis',
+      lastLatestHeight: 12,
+      lastProcessedHeight: 12,
+      maxObservedHeight: 12,
+      lastSafeHeight: 11,
+      lastFinalizedHeight: 10,
+      finalityLag: { safe: 1, finalized: 2 },
+      droppedTransactions: [],
+      openIncidents: [],
+      alertDeliveries: { pending: 0, delivered: 2, failed: 0 },
+      lastTickStats: { duration_ms: 5, rpc_calls: 3 },
+    }),
+  };
+}
+
+async function call(routes, path) {
+  const url = new URL(path, 'http://localhost');
+  const response = await routes[url.pathname](url);
+  return { status: response.status, body: JSON.parse(response.body) };
+}
+
+// 测试 /healthz 在健康时返回 200，不健康时返回 503 并给出原因
+test('/healthz answers 200 when healthy and 503 with reasons otherwise', async () => {
+  const ok = await call(createMonitorRoutes({ monitor: stubMonitor() }), '/healthz');
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.status, 'ok');
+
+  const down = await call(createMonitorRoutes({ monitor: stubMonitor({ healthy: false }) }), '/healthz');
+  assert.equal(down.status, 503);
+  assert.equal(down.body.status, 'unhealthy');
+  assert.deepEqual(down.body.reasons, ['No new block processed for 300s']);
+});
+
+// 测试 /state 返回高度、链 ID、创世哈希和缓存窗口
+test('/state reports heights, chain identity and the cache window', async () => {
+  const { status, body } = await call(
+    createMonitorRoutes({ monitor: stubMonitor(), chain: { key: 'monad', name: 'Monad Mainnet' } }),
+    '/state'
+  );
+  assert.equal(status, 200);
+  assert.equal(body.chain, 'monad');
+  assert.equal(body.chain_id, 143);
+  assert.equal(body.genesis_hash, '0xgenesis');
+  assert.equal(body.processed_height, 12);
+  assert.equal(body.finalized_height, 10);
+  assert.deepEqual(body.cache, { size: 3, from_height: 10, to_height: 12 });
+  assert.deepEqual(body.alert_deliveries, { pending: 0, delivered: 2, failed: 0 });
+});
+
+// 测试 /events 按类型和时间过滤，参数非法时返回 400
+test('/events filters the ring buffer by type and since', async () => {
+  let nowMs = Date.parse('2026-01-01T00:00:00Z');
+  const eventBuffer = createEventBuffer({ now: () => nowMs });
+  eventBuffer.push('BLOCK_RECEIVED', { height: 1 });
+  nowMs += 60_000;
+  eventBuffer.push('REORG', { depth: 2 });
+  eventBuffer.push('BLOCK_RECEIVED', { height: 2 });
+
+  const routes = createMonitorRoutes({ monitor: stubMonitor(), eventBuffer, now: () => nowMs });
+
+  const reorgs = await call(routes, '/events?type=REORG');
+  assert.equal(reorgs.body.count, 1);
+  assert.deepEqual(reorgs.body.events[0], {
+    seq: 2,
+    timestamp: '2026-01-01T00:01:00.000Z',
+    event_type: 'REORG',
+    depth: 2,
+  });
+
+  const recent = await call(routes, '/events?since=30s');
+  assert.deepEqual(recent.body.events.map((e) => e.seq), [2, 3]);
+
+  assert.equal((await call(routes, '/events?since=yesterday-ish')).status, 400);
+  assert.equal((await call(routes, '/events?limit=0')).status, 400);
+});
+
+// 测试 since 参数支持相对时长、毫秒时间戳和 ISO 时间
+test('parseSince accepts durations, epoch milliseconds and ISO dates', () => {
+  const nowMs = 10 * 86_400_000;
+  assert.equal(parseSince('24h', nowMs), nowMs - 86_400_000);
+  assert.equal(parseSince('15m', nowMs), nowMs - 900_000);
+  assert.equal(parseSince('1700000000000', nowMs), 1_700_000_000_000);
+  assert.equal(parseSince('2026-01-01T00:00:00Z', nowMs), Date.parse('2026-01-01T00:00:00Z'));
+  assert.equal(parseSince('soon', nowMs), null);
+});
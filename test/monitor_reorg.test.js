@@ -2,6 +2,11 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 
 const { createMonitor } = require('../src/monitor_reorg');
+const { createMemoryStateStore } = require('../src/state_store');
+const { createQuorumClient } = require('../src/provider_quorum');
+const { createMonitorMetrics } = require('../src/metrics');
+const { createAlertRouter } = require('../src/alert_router');
+const { encodeAbiParameters, encodeEventTopics, encodeFunctionData, erc20Abi, parseAbiItem } = require('viem');
 
 function makeBlock({
   number,
@@ -9,15 +14,17 @@ function makeBlock({
   parentHash,
   stateRoot = `0x${String(number).padStart(64, '0')}`,
   txHashes = [],
+  timestamp,
 }) {
   return {
     number: BigInt(number),
+    ...(timestamp !== undefined && { timestamp: BigInt(timestamp) }),
     hash,
     parentHash,
     stateRoot,
     baseFeePerGas: 0n,
     gasUsed: 0n,
-    transactions: txHashes.map((h) => ({ hash: h })),
+    transactions: txHashes.map((t) => (typeof t === 'string' ? { hash: t } : { ...t })),
   };
 }
 
@@ -27,7 +34,8 @@ function cloneBlock(block) {
     hash: block.hash,
     parentHash: block.parentHash,
     stateRoot: block.stateRoot,
-    txHashes: block.transactions.map((t) => t.hash),
+    txHashes: block.transactions,
+    timestamp: block.timestamp,
   });
 }
 
@@ -35,6 +43,10 @@ class FakeClient {
   #chainId = 1;
   #latestHeight = 0;
   #blocks = new Map();
+  #blocksByHash = new Map(); // Replaced blocks stay here, like a node that still serves orphans
+  #tagHeights = new Map();
+  #logs = new Map();
+  calls = [];
 
   setChainId(chainId) {
     this.#chainId = chainId;
@@ -44,21 +56,57 @@ class FakeClient {
     this.#latestHeight = height;
   }
 
+  setTagHeight(tag, height) {
+    this.#tagHeights.set(tag, height);
+  }
+
   setBlock(block) {
     this.#blocks.set(Number(block.number), cloneBlock(block));
+    this.#blocksByHash.set(block.hash, cloneBlock(block));
+  }
+
+  forgetBlock(hash) {
+    this.#blocksByHash.delete(hash);
+  }
+
+  setLogs(blockHash, logs) {
+    this.#logs.set(blockHash, logs);
+  }
+
+  async getLogs({ blockHash, address }) {
+    const logs = this.#logs.get(blockHash) ?? [];
+    return logs.filter((log) => !address || address.includes(log.address.toLowerCase()));
   }
 
   async getChainId() {
     return this.#chainId;
   }
 
+  async getTransaction({ hash }) {
+    for (const block of this.#blocks.values()) {
+      if (block.transactions.some((t) => t.hash === hash)) {
+        return { hash, blockNumber: block.number, blockHash: block.hash };
+      }
+    }
+    const err = new Error(`Transaction with hash "${hash}" could not be found.`);
+    err.name = 'TransactionNotFoundError';
+    throw err;
+  }
+
   async getBlock(args) {
+    this.calls.push(args);
     if (args.blockTag === 'latest') {
       const block = this.#blocks.get(this.#latestHeight);
       if (!block) throw new Error('Block not found');
       return cloneBlock(block);
     }
 
+    if (this.#tagHeights.has(args.blockTag)) {
+      const block = this.#blocks.get(this.#tagHeights.get(args.blockTag));
+      if (!block) throw new Error('Block not found');
+      return cloneBlock(block);
+    }
+
     if (args.blockNumber !== undefined) {
       const height = Number(args.blockNumber);
       const block = this.#blocks.get(height);
@@ -66,6 +114,12 @@ class FakeClient {
       return cloneBlock(block);
     }
 
+    if (args.blockHash !== undefined) {
+      const block = this.#blocksByHash.get(args.blockHash);
+      if (!block) throw new Error('Block not found');
+      return cloneBlock(block);
+    }
+
     throw new Error('Unsupported getBlock args');
   }
 }
@@ -112,8 +166,8 @@ test('detects CHAIN_REWIND when latest height decreases', async () => {
   assert.equal(rewind.data.to_height, 3);
 });
 
-// 测试当区块高度相同时，哈希的变化是否检测到 BLOCK_REPLACED 事件
-test('detects BLOCK_REPLACED with tx diff when same height hash changes', async () => {
+// 测试当区块高度相同时，哈希的变化是否作为深度为 1 的 REORG 报告，并带有交易差异
+test('reports a same-height hash change as a depth-1 REORG with tx diff', async () => {
   const client = new FakeClient();
   const events = [];
   let nowMs = 0;
@@ -141,16 +195,18 @@ test('detects BLOCK_REPLACED with tx diff when same height hash changes', async
   nowMs += 1;
   await monitor.tick();
 
-  const replaced = events.find((e) => e.type === 'BLOCK_REPLACED' && e.data.height === 2);
-  assert.ok(replaced, 'expected BLOCK_REPLACED for height 2');
-  assert.equal(replaced.data.old_hash, '0xblock2');
-  assert.equal(replaced.data.new_hash, '0xblock2_new');
-  assert.deepEqual(replaced.data.tx_diff.dropped.sort(), ['0xtx2a'].sort());
-  assert.deepEqual(replaced.data.tx_diff.added.sort(), ['0xtx2c'].sort());
+  const reorg = events.find((e) => e.type === 'REORG');
+  assert.ok(reorg, 'expected REORG for height 2');
+  assert.equal(reorg.data.depth, 1);
+  assert.deepEqual(reorg.data.old_tip, { height: 2, hash: '0xblock2' });
+  assert.deepEqual(reorg.data.new_tip, { height: 2, hash: '0xblock2_new' });
+  assert.deepEqual(reorg.data.tx_diff.dropped.sort(), ['0xtx2a'].sort());
+  assert.deepEqual(reorg.data.tx_diff.added.sort(), ['0xtx2c'].sort());
+  assert.ok(!events.some((e) => e.type === 'BLOCK_REPLACED'), 'the REORG replaces per-height events');
 });
 
-// 测试当区块高度相同时，parent哈希的变化是否检测到 REORG_DETECTED 事件
-test('detects REORG_DETECTED when parent hash becomes discontinuous', async () => {
+// 测试 parent 哈希不连续时沿缓存向下追溯到共同祖先，只报告一个 REORG
+test('traces a parent hash mismatch down to the common ancestor', async () => {
   const client = new FakeClient();
   const events = [];
   let nowMs = 0;
@@ -167,23 +223,26 @@ test('detects REORG_DETECTED when parent hash becomes discontinuous', async () =
 
   await monitor.tick();
 
+  client.setBlock(makeBlock({ number: 1, hash: '0xblock1_b', parentHash: '0xgenesis' }));
   client.setBlock(makeBlock({
     number: 2,
     hash: '0xblock2_reorg',
-    parentHash: '0xsome_other_parent',
+    parentHash: '0xblock1_b',
     txHashes: ['0xtx2x'],
   }));
 
   nowMs += 1;
   await monitor.tick();
 
-  const reorg = events.find((e) => e.type === 'REORG_DETECTED' && e.data.at_height === 2);
-  assert.ok(reorg, 'expected REORG_DETECTED at height 2');
-  assert.equal(reorg.data.expected_parent, '0xblock1');
-  assert.equal(reorg.data.actual_parent, '0xsome_other_parent');
+  const reorgs = events.filter((e) => e.type === 'REORG');
+  assert.equal(reorgs.length, 1);
+  assert.equal(reorgs[0].data.depth, 2);
+  assert.deepEqual(reorgs[0].data.fork_point, { height: 0, hash: '0xgenesis' });
+  assert.deepEqual(reorgs[0].data.new_branch.map((b) => b.hash), ['0xblock1_b', '0xblock2_reorg']);
+  assert.ok(!events.some((e) => e.type === 'PARENT_HASH_MISMATCH_DETECTED'), 'the REORG replaces per-height events');
 });
 
-// 测试当区块高度相同时，parent哈希的变化是否检测到 REORG_DETECTED 事件，且在recheck窗口内
+// 测试当区块高度相同时，parent哈希的变化是否检测到 PARENT_HASH_MISMATCH_DETECTED 事件，且在recheck窗口内
 test('detects non-tip reorg via recheck window', async () => {
   const client = new FakeClient();
   const events = [];
@@ -212,11 +271,12 @@ test('detects non-tip reorg via recheck window', async () => {
   nowMs += 1;
   await monitor.tick();
 
-  const replaced = events.find((e) => e.type === 'BLOCK_REPLACED' && e.data.height === 8);
-  assert.ok(replaced, 'expected BLOCK_REPLACED for height 8');
+  const reorg = events.find((e) => e.type === 'REORG');
+  assert.ok(reorg, 'expected REORG for height 8');
+  assert.deepEqual(reorg.data.old_branch.map((b) => b.height), [8]);
 });
 
-// 测试当区块高度相同时，parent哈希的变化是否检测到 REORG_DETECTED 事件，且在recheck窗口外
+// 测试当区块高度相同时，parent哈希的变化是否检测到 PARENT_HASH_MISMATCH_DETECTED 事件，且在recheck窗口外
 test('trims cache to CACHE_DEPTH', async () => {
   const client = new FakeClient();
   const events = [];
@@ -239,6 +299,29 @@ test('trims cache to CACHE_DEPTH', async () => {
   assert.deepEqual(heights, [8, 9, 10]);
 });
 
+// 测试交易摘要（txDetails）只保留在复查窗口内的区块上
+test('keeps transaction summaries only for the recheck window', async () => {
+  const client = new FakeClient();
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+
+  const monitor = createMonitor({
+    client,
+    logJson: () => {},
+    chainMetadataPollMs: 0,
+    recheckDepth: 3,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+
+  const { blockCache } = monitor.getState();
+  const withDetails = [...blockCache].filter(([, entry]) => entry.txDetails).map(([h]) => h);
+  assert.deepEqual(withDetails, [8, 9, 10]);
+  assert.deepEqual(blockCache.get(5).transactions, ['0xtx5a', '0xtx5b']);
+});
+
 // 测试当chainId或genesisHash变化时，是否检测到 CHAIN_ID_CHANGED 和 GENESIS_CHANGED 事件
 test('detects chain reset signals via chainId/genesis changes', async () => {
   const client = new FakeClient();
@@ -289,3 +372,1136 @@ test('suppresses RPC_ERROR for "Block not found", logs otherwise', async () => {
   assert.ok(events.some((e) => e.type === 'RPC_ERROR'), 'expected RPC_ERROR for generic failure');
 });
 
+
+// 测试 skipHistory 开启时是否跳过历史区块，只从最新高度开始处理
+test('skips historical blocks on first tick when skipHistory is enabled', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    recheckDepth: 1,
+    skipHistory: true,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+
+  const skip = events.find((e) => e.type === 'MONITOR_SKIP_HISTORY');
+  assert.ok(skip, 'expected MONITOR_SKIP_HISTORY');
+  assert.equal(skip.data.skipped_to_height, 10);
+
+  const received = events.filter((e) => e.type === 'BLOCK_RECEIVED').map((e) => e.data.height);
+  assert.deepEqual(received, [10]);
+});
+
+// 测试重启后恢复状态，并检测停机期间发生的重组
+test('restores persisted state and reports reorgs that happened while stopped', async () => {
+  const client = new FakeClient();
+  const stateStore = createMemoryStateStore();
+  let events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 5 })) client.setBlock(block);
+  client.setLatestHeight(5);
+
+  const first = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    stateStore,
+    now: () => 0,
+  });
+  await first.tick();
+  await first.persistState(true);
+
+  // Reorg of heights 4..5 while the monitor is down, recheck window too small to see it
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4_new', parentHash: '0xblock3' }));
+  client.setBlock(makeBlock({ number: 5, hash: '0xblock5_new', parentHash: '0xblock4_new' }));
+
+  events = [];
+  const second = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    recheckDepth: 1,
+    skipHistory: true,
+    stateStore,
+    now: () => 0,
+  });
+  await second.tick();
+
+  const restored = events.find((e) => e.type === 'STATE_RESTORED');
+  assert.ok(restored, 'expected STATE_RESTORED');
+  assert.equal(restored.data.last_processed_height, 5);
+  assert.ok(!events.some((e) => e.type === 'MONITOR_SKIP_HISTORY'), 'restored monitor must not skip history');
+
+  const reorgs = events.filter((e) => e.type === 'REORG');
+  assert.equal(reorgs.length, 1);
+  assert.deepEqual(reorgs[0].data.old_branch.map((b) => b.height), [4, 5]);
+
+  const verified = events.find((e) => e.type === 'STATE_RESTORE_VERIFIED');
+  assert.equal(verified.data.verified_height, 5);
+  assert.equal(verified.data.changed, true);
+  assert.equal(second.getState().blockCache.get(4).hash, '0xblock4_new');
+});
+
+// 测试状态快照只保存复查窗口内的完整区块和其下的一段哈希链，重启后仍能追溯到共同祖先
+test('persists only the recheck window plus a short hash chain', async () => {
+  const client = new FakeClient();
+  const stateStore = createMemoryStateStore();
+  let events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 100 })) client.setBlock(block);
+  client.setLatestHeight(100);
+
+  const options = {
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    recheckDepth: 4,
+    stateStore,
+    now: () => 0,
+  };
+  const first = createMonitor(options);
+  await first.tick();
+  await first.persistState(true);
+
+  const snapshot = await stateStore.load();
+  assert.deepEqual(snapshot.blocks.map(([h]) => h), [97, 98, 99, 100]);
+  assert.deepEqual(snapshot.hashChain.map(([h]) => h), Array.from({ length: 64 }, (_, i) => 33 + i));
+  assert.deepEqual(snapshot.hashChain[0], [33, '0xblock33', '0xblock32']);
+
+  // Fork below the recheck window while the monitor is down
+  client.setBlock(makeBlock({ number: 90, hash: '0xblock90_new', parentHash: '0xblock89' }));
+  for (let h = 91; h <= 100; h++) {
+    client.setBlock(makeBlock({ number: h, hash: `0xblock${h}_new`, parentHash: h === 91 ? '0xblock90_new' : `0xblock${h - 1}_new` }));
+  }
+
+  events = [];
+  const second = createMonitor(options);
+  await second.tick();
+
+  const reorgs = events.filter((e) => e.type === 'REORG');
+  assert.equal(reorgs.length, 1);
+  assert.deepEqual(reorgs[0].data.fork_point, { height: 89, hash: '0xblock89' });
+  assert.equal(reorgs[0].data.depth, 11);
+});
+
+// 测试长时间停机后追块不超过缓存深度，跳过的区块会被报告
+test('caps catch-up after an outage at the cache depth', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 30 })) client.setBlock(block);
+  client.setLatestHeight(5);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    cacheDepth: 10,
+    recheckDepth: 4,
+    now: () => 0,
+  });
+  await monitor.tick();
+
+  client.setLatestHeight(30);
+  client.calls.length = 0;
+  await monitor.tick();
+
+  const skipped = events.find((e) => e.type === 'MONITOR_SKIP_HISTORY');
+  assert.ok(skipped, 'expected MONITOR_SKIP_HISTORY');
+  assert.equal(skipped.data.skipped_from_height, 6);
+  assert.equal(skipped.data.skipped_to_height, 20);
+
+  const fetched = client.calls.filter((c) => c.includeTransactions).map((c) => Number(c.blockNumber));
+  assert.deepEqual(fetched, Array.from({ length: 10 }, (_, i) => 21 + i));
+  assert.equal(monitor.getState().lastProcessedHeight, 30);
+});
+
+// 测试多区块重组是否只产生一个 REORG 事件，并给出深度和共同祖先
+test('reports one REORG with depth and common ancestor for a multi-block fork', async () => {
+  const client = new FakeClient();
+  const events = [];
+  let nowMs = 0;
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    recheckDepth: 5,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+
+  client.setBlock(makeBlock({ number: 8, hash: '0xblock8_new', parentHash: '0xblock7', txHashes: ['0xtx8a', '0xtx8z'] }));
+  client.setBlock(makeBlock({ number: 9, hash: '0xblock9_new', parentHash: '0xblock8_new', txHashes: ['0xtx9a'] }));
+  client.setBlock(makeBlock({ number: 10, hash: '0xblock10_new', parentHash: '0xblock9_new' }));
+  client.setBlock(makeBlock({ number: 11, hash: '0xblock11_new', parentHash: '0xblock10_new' }));
+  client.setLatestHeight(11);
+
+  nowMs += 1;
+  await monitor.tick();
+
+  const reorgs = events.filter((e) => e.type === 'REORG');
+  assert.equal(reorgs.length, 1, 'expected a single REORG event');
+
+  const [reorg] = reorgs;
+  assert.equal(reorg.data.depth, 3);
+  assert.deepEqual(reorg.data.fork_point, { height: 7, hash: '0xblock7' });
+  assert.deepEqual(reorg.data.old_branch.map((b) => b.hash), ['0xblock8', '0xblock9', '0xblock10']);
+  assert.deepEqual(reorg.data.new_branch.map((b) => b.hash), ['0xblock8_new', '0xblock9_new', '0xblock10_new', '0xblock11_new']);
+  assert.deepEqual(reorg.data.tx_diff.dropped.sort(), ['0xtx10a', '0xtx10b', '0xtx8b', '0xtx9b'].sort());
+  assert.deepEqual(reorg.data.tx_diff.added, ['0xtx8z']);
+  assert.deepEqual(reorg.data.tx_diff.by_height.find((d) => d.height === 8), { height: 8, dropped: ['0xtx8b'], added: ['0xtx8z'] });
+});
+
+// 测试追溯重组时某个区块获取失败：缓存保持不变，重试后报告完整深度和正确的共同祖先
+test('leaves the cache untouched when a fetch fails mid-trace and reports the full reorg on retry', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 5 })) client.setBlock(block);
+  client.setLatestHeight(5);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    now: () => 0,
+  });
+  await monitor.tick();
+
+  client.setBlock(makeBlock({ number: 3, hash: '0xblock3_b', parentHash: '0xblock2' }));
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4_b', parentHash: '0xblock3_b' }));
+  client.setBlock(makeBlock({ number: 5, hash: '0xblock5_b', parentHash: '0xblock4_b' }));
+
+  const getBlock = client.getBlock.bind(client);
+  let failuresLeft = 1;
+  client.getBlock = async (args) => {
+    if (args.blockNumber === 4n && args.includeTransactions && failuresLeft-- > 0) throw new Error('429 Too Many Requests');
+    return getBlock(args);
+  };
+  await monitor.tick();
+
+  const reorgs = events.filter((e) => e.type === 'REORG');
+  assert.equal(reorgs.length, 1);
+  assert.equal(reorgs[0].data.depth, 3);
+  assert.deepEqual(reorgs[0].data.fork_point, { height: 2, hash: '0xblock2' });
+  assert.deepEqual(reorgs[0].data.old_branch.map((b) => b.hash), ['0xblock3', '0xblock4', '0xblock5']);
+  assert.ok(events.some((e) => e.type === 'RPC_ERROR' && /429/.test(e.data.error)));
+});
+
+// 测试 finalized 高度回退、以及已 finalized 区块被替换时是否产生 FINALITY_VIOLATION
+test('raises FINALITY_VIOLATION when finalized blocks change or the finalized head regresses', async () => {
+  const client = new FakeClient();
+  const events = [];
+  let nowMs = 0;
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+  client.setTagHeight('safe', 9);
+  client.setTagHeight('finalized', 8);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    recheckDepth: 5,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+  assert.deepEqual(monitor.getState().finalityLag, { safe: 1, finalized: 2 });
+  assert.ok(events.some((e) => e.type === 'FINALITY_UPDATE' && e.data.finalized_height === 8));
+  assert.ok(!events.some((e) => e.type === 'FINALITY_VIOLATION'));
+
+  // Finalized block 8 gets replaced and the finalized head drops back to 7
+  client.setBlock(makeBlock({ number: 8, hash: '0xblock8_new', parentHash: '0xblock7' }));
+  client.setTagHeight('finalized', 7);
+
+  nowMs += 1;
+  await monitor.tick();
+
+  const reasons = events.filter((e) => e.type === 'FINALITY_VIOLATION').map((e) => e.data.reason).sort();
+  assert.deepEqual(reasons, ['FINALIZED_BLOCK_REPLACED', 'FINALIZED_HEAD_REGRESSED']);
+
+  const replaced = events.find((e) => e.type === 'FINALITY_VIOLATION' && e.data.reason === 'FINALIZED_BLOCK_REPLACED');
+  assert.deepEqual(replaced.data.fork_point, { height: 7, hash: '0xblock7' });
+  assert.deepEqual(replaced.data.blocks, [{ height: 8, old_hash: '0xblock8', new_hash: '0xblock8_new' }]);
+
+  const reorg = events.find((e) => e.type === 'REORG');
+  assert.equal(reorg.data.crosses_finality, true);
+});
+
+// 测试跨越 finalized 的多区块重组只产生一个 FINALIZED_BLOCK_REPLACED，并列出所有被替换的高度
+test('reports all finalized heights replaced by one reorg in a single FINALITY_VIOLATION', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+  client.setTagHeight('safe', 9);
+  client.setTagHeight('finalized', 8);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+
+  for (let h = 5; h <= 10; h++) {
+    client.setBlock(makeBlock({ number: h, hash: `0xblock${h}_new`, parentHash: h === 5 ? '0xblock4' : `0xblock${h - 1}_new` }));
+  }
+  await monitor.tick();
+
+  // The finalized head itself changed hash too, which is reported separately
+  const violations = events.filter((e) => e.type === 'FINALITY_VIOLATION' && e.data.reason === 'FINALIZED_BLOCK_REPLACED');
+  assert.equal(violations.length, 1);
+  assert.deepEqual(violations[0].data.blocks.map((b) => b.height), [5, 6, 7, 8]);
+  assert.equal(events.filter((e) => e.type === 'REORG').length, 1);
+});
+
+// 测试 RPC 不支持 safe/finalized 标签时只提示一次并停用
+test('disables finality tracking when the RPC does not support the tags', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 2 })) client.setBlock(block);
+  client.setLatestHeight(2);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+  await monitor.tick();
+
+  assert.equal(events.filter((e) => e.type === 'FINALITY_UNSUPPORTED').length, 1);
+  assert.ok(!events.some((e) => e.type === 'RPC_ERROR'));
+});
+
+// 测试启动时 safe/finalized 请求偶发失败（如 429）不会永久停用 finality 跟踪
+test('keeps tracking finality after a transient failure of the first safe/finalized request', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+  client.setTagHeight('safe', 8);
+  client.setTagHeight('finalized', 6);
+
+  const getBlock = client.getBlock.bind(client);
+  let failuresLeft = 1;
+  client.getBlock = async (args) => {
+    if (args.blockTag === 'finalized' && failuresLeft-- > 0) throw new Error('HTTP request failed. Status: 429');
+    return getBlock(args);
+  };
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+  assert.ok(events.some((e) => e.type === 'RPC_ERROR' && /429/.test(e.data.error)));
+  assert.ok(!events.some((e) => e.type === 'FINALITY_UNSUPPORTED'));
+
+  await monitor.tick();
+  const update = events.find((e) => e.type === 'FINALITY_UPDATE');
+  assert.ok(update, 'expected FINALITY_UPDATE once the tags answer');
+  assert.equal(update.data.finalized_height, 6);
+});
+
+// 测试 WebSocket 模式：新区块头驱动检测，断线时回退到 HTTP 轮询
+test('processes newHeads in WebSocket mode and falls back to polling when the socket drops', async () => {
+  const client = new FakeClient();
+  const events = [];
+  let subscription = null;
+  const wsClient = {
+    watchBlocks({ onBlock, onError }) {
+      subscription = { onBlock, onError };
+      return () => {};
+    },
+  };
+
+  for (const block of createLinearChain({ from: 0, to: 3 })) client.setBlock(block);
+  client.setLatestHeight(3);
+
+  const monitor = createMonitor({
+    client,
+    wsClient,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 60_000,
+    pollIntervalMs: 60_000,
+  });
+  const stop = monitor.start();
+
+  try {
+    const head = await client.getBlock({ blockTag: 'latest' });
+    subscription.onBlock(head);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.ok(events.some((e) => e.type === 'WS_CONNECTED'));
+    assert.equal(monitor.getState().lastProcessedHeight, 3);
+
+    subscription.onError(new Error('socket closed'));
+    const disconnected = events.find((e) => e.type === 'WS_DISCONNECTED');
+    assert.ok(disconnected, 'expected WS_DISCONNECTED');
+    assert.equal(disconnected.data.error, 'socket closed');
+  } finally {
+    await stop();
+  }
+});
+
+// 测试多节点模式：一个节点分叉时报告 PROVIDER_DIVERGENCE，且不当作重组
+test('uses the provider quorum view and reports PROVIDER_DIVERGENCE instead of a reorg', async () => {
+  const providers = ['a', 'b', 'c'].map((name) => ({ name, client: new FakeClient() }));
+  const events = [];
+  let nowMs = 0;
+
+  for (const { client } of providers) {
+    for (const block of createLinearChain({ from: 0, to: 3 })) client.setBlock(block);
+    client.setLatestHeight(3);
+  }
+
+  const monitor = createMonitor({
+    client: createQuorumClient({ providers }),
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+
+  // Provider c alone serves a different block 3
+  providers[2].client.setBlock(makeBlock({ number: 3, hash: '0xblock3_c', parentHash: '0xblock2' }));
+
+  nowMs += 1;
+  await monitor.tick();
+
+  const divergence = events.find((e) => e.type === 'PROVIDER_DIVERGENCE');
+  assert.ok(divergence, 'expected PROVIDER_DIVERGENCE');
+  assert.equal(divergence.data.height, 3);
+  assert.equal(divergence.data.votes.c, '0xblock3_c');
+  assert.ok(!events.some((e) => e.type === 'REORG'), 'minority provider must not look like a reorg');
+});
+
+// 测试 recheck 只批量获取区块头，仅对哈希变化的高度拉取完整交易
+test('rechecks with headers only and fetches full blocks just for changed heights', async () => {
+  const client = new FakeClient();
+  const events = [];
+  let nowMs = 0;
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+  client.setTagHeight('safe', 10);
+  client.setTagHeight('finalized', 10);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 60_000,
+    recheckDepth: 5,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+
+  const fullFetches = () => client.calls.filter((args) => args.includeTransactions === true).map((args) => Number(args.blockNumber));
+
+  client.calls = [];
+  nowMs += 1;
+  await monitor.tick();
+  assert.deepEqual(fullFetches(), [], 'unchanged window needs no full blocks');
+  // latest + safe + finalized + 5 headers
+  assert.equal(monitor.getState().lastTickStats.rpc_calls, 8);
+
+  client.setBlock(makeBlock({ number: 9, hash: '0xblock9_new', parentHash: '0xblock8' }));
+  client.setBlock(makeBlock({ number: 10, hash: '0xblock10_new', parentHash: '0xblock9_new' }));
+
+  client.calls = [];
+  nowMs += 1;
+  await monitor.tick();
+  assert.deepEqual(fullFetches().sort((a, b) => a - b), [8, 9, 10]);
+  assert.ok(events.some((e) => e.type === 'TICK_STATS' && e.data.rpc_calls === monitor.getState().lastTickStats.rpc_calls));
+});
+
+// 测试同时触发的 tick 会被串行执行，不会重复处理同一区块
+test('serializes concurrent ticks so blocks are processed once', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 5 })) client.setBlock(block);
+  client.setLatestHeight(5);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    now: () => 0,
+  });
+
+  await Promise.all([monitor.tick(), monitor.tick(), monitor.tick()]);
+
+  const received = events.filter((e) => e.type === 'BLOCK_RECEIVED').map((e) => e.data.height);
+  assert.deepEqual(received, [0, 1, 2, 3, 4, 5]);
+  assert.equal(events.filter((e) => e.type === 'TICK_STATS').length, 3);
+});
+
+// 测试重组中被丢弃的交易：重新打包时报告 TX_REINCLUDED，超过跟踪窗口仍未出现时报告 TX_LOST
+test('follows dropped transactions until they are re-included or lost', async () => {
+  const client = new FakeClient();
+  const events = [];
+
+  for (const block of createLinearChain({ from: 0, to: 5 })) client.setBlock(block);
+  client.setLatestHeight(5);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    droppedTxFollowBlocks: 2,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+
+  // Block 5 is replaced without 0xtx5a/0xtx5b; 0xtx5b lands again in block 6
+  client.setBlock(makeBlock({ number: 5, hash: '0xblock5_new', parentHash: '0xblock4', txHashes: ['0xtx5c'] }));
+  client.setBlock(makeBlock({ number: 6, hash: '0xblock6', parentHash: '0xblock5_new', txHashes: ['0xtx5b'] }));
+  client.setLatestHeight(6);
+  await monitor.tick();
+
+  const reincluded = events.find((e) => e.type === 'TX_REINCLUDED');
+  assert.ok(reincluded, 'expected TX_REINCLUDED');
+  assert.equal(reincluded.data.tx_hash, '0xtx5b');
+  assert.equal(reincluded.data.dropped_at_height, 5);
+  assert.equal(reincluded.data.old_block_hash, '0xblock5');
+  assert.equal(reincluded.data.new_height, 6);
+  assert.equal(reincluded.data.height_delta, 1);
+  assert.ok(!events.some((e) => e.type === 'TX_LOST'), 'expected no TX_LOST inside the follow window');
+  assert.equal(monitor.getState().droppedTransactions.length, 1);
+
+  client.setBlock(makeBlock({ number: 7, hash: '0xblock7', parentHash: '0xblock6' }));
+  client.setLatestHeight(7);
+  await monitor.tick();
+
+  const lost = events.find((e) => e.type === 'TX_LOST');
+  assert.ok(lost, 'expected TX_LOST');
+  assert.equal(lost.data.tx_hash, '0xtx5a');
+  assert.equal(lost.data.followed_blocks, 2);
+  assert.equal(lost.data.mempool_status, 'not_found');
+  assert.equal(monitor.getState().droppedTransactions.length, 0);
+});
+
+// 测试重组后新分支中出现同一发送者、同一 nonce 的不同交易时报告 DOUBLE_SPEND_SUSPECTED
+test('raises DOUBLE_SPEND_SUSPECTED when the new branch reuses a dropped sender nonce', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const alice = '0xA11CE00000000000000000000000000000000000';
+  const payment = { hash: '0xpay', from: alice, nonce: 7, to: '0xmerchant', value: 10n ** 18n };
+  const refund = { hash: '0xrefund', from: alice, nonce: 7, to: '0xalice2', value: 10n ** 18n };
+  const unrelated = { hash: '0xother', from: '0xb0b', nonce: 1, to: '0xcarol', value: 5n };
+
+  for (const block of createLinearChain({ from: 0, to: 3 })) client.setBlock(block);
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4', parentHash: '0xblock3', txHashes: [payment, unrelated] }));
+  client.setLatestHeight(4);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+
+  // The payment is replaced by a transfer back to the sender, landing one block later
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4_new', parentHash: '0xblock3', txHashes: [unrelated] }));
+  client.setBlock(makeBlock({ number: 5, hash: '0xblock5', parentHash: '0xblock4_new', txHashes: [refund] }));
+  client.setLatestHeight(5);
+  await monitor.tick();
+
+  const suspects = events.filter((e) => e.type === 'DOUBLE_SPEND_SUSPECTED');
+  assert.equal(suspects.length, 1);
+  const { data } = suspects[0];
+  assert.equal(data.from, alice.toLowerCase());
+  assert.equal(data.nonce, 7);
+  assert.deepEqual(data.dropped_tx, { hash: '0xpay', height: 4, block_hash: '0xblock4', to: '0xmerchant', value: '1000000000000000000' });
+  assert.deepEqual(data.replacement_tx, { hash: '0xrefund', height: 5, block_hash: '0xblock5', to: '0xalice2', value: '1000000000000000000' });
+  assert.equal(data.same_recipient, false);
+  assert.equal(data.same_value, true);
+  assert.equal(data.severity, 'CRITICAL');
+});
+
+// 测试复查窗口以下的被替换区块按哈希重新获取交易，仍能发现双花；取不到的高度在 REORG 中列出
+test('refetches replaced blocks below the recheck window to check them for double spends', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const alice = '0xA11CE00000000000000000000000000000000000';
+  const payment = { hash: '0xpay', from: alice, nonce: 7, to: '0xmerchant', value: 1n };
+  const refund = { hash: '0xrefund', from: alice, nonce: 7, to: '0xalice2', value: 1n };
+  const branch = (suffix, txsAt) => Array.from({ length: 7 }, (_, i) => makeBlock({
+    number: 4 + i,
+    hash: `0xblock${4 + i}${suffix}`,
+    parentHash: i === 0 ? '0xblock3' : `0xblock${3 + i}${suffix}`,
+    txHashes: txsAt[4 + i] ?? [],
+  }));
+
+  for (const block of createLinearChain({ from: 0, to: 3 })) client.setBlock(block);
+  for (const block of branch('', { 4: [payment] })) client.setBlock(block);
+  client.setLatestHeight(10);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    recheckDepth: 2,
+    now: () => 0,
+  });
+  await monitor.tick();
+  assert.equal(monitor.getState().blockCache.get(4).txDetails, undefined);
+
+  for (const block of branch('_new', { 5: [refund] })) client.setBlock(block);
+  client.forgetBlock('0xblock6'); // The node no longer serves this orphan
+  await monitor.tick();
+
+  const reorg = events.find((e) => e.type === 'REORG');
+  assert.equal(reorg.data.depth, 7);
+  assert.deepEqual(reorg.data.tx_details_unavailable, [6]);
+
+  const suspects = events.filter((e) => e.type === 'DOUBLE_SPEND_SUSPECTED');
+  assert.equal(suspects.length, 1);
+  assert.equal(suspects[0].data.dropped_tx.hash, '0xpay');
+  assert.equal(suspects[0].data.replacement_tx.hash, '0xrefund');
+});
+
+// 测试重组时对比被替换区块与新区块中关注合约的日志，报告 LOGS_REORGED 并解码 Transfer 事件
+test('emits LOGS_REORGED with decoded events removed and added for watched contracts', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const token = '0x00000000000000000000000000000000000000aa';
+  const otherContract = '0x00000000000000000000000000000000000000bb';
+  const transfer = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+  const makeTransferLog = ({ address = token, txHash, to, value }) => ({
+    address,
+    transactionHash: txHash,
+    logIndex: 0,
+    topics: encodeEventTopics({
+      abi: [transfer],
+      eventName: 'Transfer',
+      args: { from: '0x0000000000000000000000000000000000000001', to },
+    }),
+    data: encodeAbiParameters([{ type: 'uint256' }], [value]),
+  });
+  const kept = makeTransferLog({ txHash: '0xtx3a', to: '0x0000000000000000000000000000000000000002', value: 1n });
+
+  for (const block of createLinearChain({ from: 0, to: 3 })) client.setBlock(block);
+  client.setLatestHeight(3);
+  client.setLogs('0xblock3', [
+    kept,
+    makeTransferLog({ txHash: '0xtx3b', to: '0x0000000000000000000000000000000000000003', value: 500n }),
+    makeTransferLog({ address: otherContract, txHash: '0xtx3b', to: '0x0000000000000000000000000000000000000003', value: 9n }),
+  ]);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    watchContracts: [token],
+    watchEvents: ['Transfer(address indexed from, address indexed to, uint256 value)'],
+    now: () => 0,
+  });
+
+  await monitor.tick();
+
+  client.setBlock(makeBlock({ number: 3, hash: '0xblock3_new', parentHash: '0xblock2', txHashes: ['0xtx3a', '0xtx3c'] }));
+  client.setLogs('0xblock3_new', [
+    kept,
+    makeTransferLog({ txHash: '0xtx3c', to: '0x0000000000000000000000000000000000000004', value: 700n }),
+  ]);
+  await monitor.tick();
+
+  const reorged = events.find((e) => e.type === 'LOGS_REORGED');
+  assert.ok(reorged, 'expected LOGS_REORGED');
+  assert.equal(reorged.data.removed.length, 1);
+  assert.equal(reorged.data.removed[0].height, 3);
+  assert.equal(reorged.data.removed[0].block_hash, '0xblock3');
+  assert.equal(reorged.data.removed[0].event, 'Transfer');
+  assert.deepEqual(reorged.data.removed[0].args, {
+    from: '0x0000000000000000000000000000000000000001',
+    to: '0x0000000000000000000000000000000000000003',
+    value: '500',
+  });
+  assert.equal(reorged.data.added.length, 1);
+  assert.equal(reorged.data.added[0].block_hash, '0xblock3_new');
+  assert.equal(reorged.data.added[0].args.value, '700');
+  assert.deepEqual(reorged.data.unavailable, []);
+});
+
+// 测试重组影响关注地址时发出高优先级 WATCHLIST_REORG_IMPACT，无关的重组不发出
+test('raises WATCHLIST_REORG_IMPACT only for reorgs touching watched addresses', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const hotWallet = '0x00000000000000000000000000000000000000a1';
+  const treasury = '0x00000000000000000000000000000000000000b2';
+  const token = '0x00000000000000000000000000000000000000c3';
+  const withdrawal = { hash: '0xwithdraw', from: hotWallet, nonce: 3, to: '0x00000000000000000000000000000000000000d4', value: 2n * 10n ** 18n };
+  const deposit = {
+    hash: '0xdeposit',
+    from: '0x00000000000000000000000000000000000000e5',
+    nonce: 9,
+    to: token,
+    value: 0n,
+    input: encodeFunctionData({ abi: erc20Abi, functionName: 'transfer', args: [treasury, 250n] }),
+  };
+
+  for (const block of createLinearChain({ from: 0, to: 3 })) client.setBlock(block);
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4', parentHash: '0xblock3', txHashes: [withdrawal] }));
+  client.setLatestHeight(4);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    watchAddresses: [{ address: hotWallet, label: 'hot-wallet' }, { address: treasury, label: 'treasury' }],
+    now: () => 0,
+  });
+
+  await monitor.tick();
+
+  // Unrelated reorg at height 3: no watchlist alert
+  client.setBlock(makeBlock({ number: 3, hash: '0xblock3_new', parentHash: '0xblock2', txHashes: ['0xtx3a'] }));
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4_b', parentHash: '0xblock3_new', txHashes: [withdrawal] }));
+  await monitor.tick();
+  assert.ok(events.some((e) => e.type === 'REORG'), 'expected REORG');
+  assert.ok(!events.some((e) => e.type === 'WATCHLIST_REORG_IMPACT'), 'expected no WATCHLIST_REORG_IMPACT');
+
+  // Withdrawal dropped, token deposit to the treasury added
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4_c', parentHash: '0xblock3_new', txHashes: [deposit] }));
+  await monitor.tick();
+
+  const impact = events.find((e) => e.type === 'WATCHLIST_REORG_IMPACT');
+  assert.ok(impact, 'expected WATCHLIST_REORG_IMPACT');
+  assert.equal(impact.data.priority, 'HIGH');
+  assert.equal(impact.data.severity, 'HIGH');
+
+  const [hot, vault] = impact.data.addresses;
+  assert.equal(hot.label, 'hot-wallet');
+  assert.deepEqual(hot.transactions.map((t) => [t.change, t.role, t.hash, t.value]), [
+    ['dropped', 'from', '0xwithdraw', '2000000000000000000'],
+  ]);
+  assert.equal(vault.label, 'treasury');
+  assert.deepEqual(vault.transactions.map((t) => [t.change, t.role, t.hash]), [['added', 'token_to', '0xdeposit']]);
+  assert.deepEqual(vault.transactions[0].token_transfer, {
+    token,
+    from: '0x00000000000000000000000000000000000000e5',
+    to: treasury,
+    amount: '250',
+  });
+});
+
+// 测试 Prometheus 指标：事件计数、高度与缓存 gauge、重组深度直方图和 RPC 错误计数
+test('records event, height, reorg depth and RPC metrics labelled by chain', async () => {
+  const client = new FakeClient();
+  const metrics = createMonitorMetrics({ chain: 'monad' });
+
+  for (const block of createLinearChain({ from: 0, to: 4 })) client.setBlock(block);
+  client.setLatestHeight(4);
+
+  const monitor = createMonitor({
+    client,
+    logJson: () => {},
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    metrics,
+    now: () => 0,
+  });
+
+  await monitor.tick();
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4_new', parentHash: '0xblock3' }));
+  await monitor.tick();
+
+  const failingGetBlock = client.getBlock;
+  client.getBlock = async () => {
+    throw new Error('boom');
+  };
+  await monitor.tick();
+  client.getBlock = failingGetBlock;
+
+  const text = metrics.registry.render();
+  assert.match(text, /^reorg_monitor_events_total\{chain="monad",type="REORG"\} 1$/m);
+  assert.match(text, /^reorg_monitor_events_total\{chain="monad",type="RPC_ERROR"\} 1$/m);
+  assert.match(text, /^reorg_monitor_latest_height\{chain="monad"\} 4$/m);
+  assert.match(text, /^reorg_monitor_processed_height\{chain="monad"\} 4$/m);
+  assert.match(text, /^reorg_monitor_block_cache_size\{chain="monad"\} 5$/m);
+  assert.match(text, /^reorg_monitor_reorg_depth_bucket\{chain="monad",le="1"\} 1$/m);
+  assert.match(text, /^reorg_monitor_rpc_errors_total\{chain="monad",method="getBlock"\} 1$/m);
+  assert.match(text, /^reorg_monitor_tick_duration_seconds_count\{chain="monad"\} 3$/m);
+});
+
+// 测试健康检查：长时间没有新区块或连续 RPC 错误时判定为不健康
+test('reports unhealthy when blocks stop advancing or RPC errors persist', async () => {
+  const client = new FakeClient();
+  let nowMs = 0;
+
+  for (const block of createLinearChain({ from: 0, to: 2 })) client.setBlock(block);
+  client.setLatestHeight(2);
+
+  const monitor = createMonitor({
+    client,
+    logJson: () => {},
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    healthMaxBlockAgeMs: 10_000,
+    healthMaxErrorTicks: 2,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+  assert.equal(monitor.getHealth().healthy, true);
+
+  nowMs += 11_000;
+  await monitor.tick();
+  assert.equal(monitor.getHealth().healthy, false);
+  assert.match(monitor.getHealth().reasons[0], /No new block processed for 11s/);
+
+  client.setBlock(makeBlock({ number: 3, hash: '0xblock3', parentHash: '0xblock2' }));
+  client.setLatestHeight(3);
+  await monitor.tick();
+  assert.equal(monitor.getHealth().healthy, true);
+
+  client.getBlock = async () => {
+    throw new Error('boom');
+  };
+  await monitor.tick();
+  assert.equal(monitor.getHealth().healthy, true);
+  await monitor.tick();
+  const health = monitor.getHealth();
+  assert.equal(health.healthy, false);
+  assert.equal(health.consecutive_error_ticks, 2);
+  assert.deepEqual(health.reasons, ['RPC errors in the last 2 ticks']);
+});
+
+// 测试最新高度长时间不变时报告 CHAIN_STALLED（只报一次），出新块后报告 CHAIN_RESUMED 和停滞时长
+test('emits CHAIN_STALLED once the tip stops advancing and CHAIN_RESUMED when it moves again', async () => {
+  const client = new FakeClient();
+  const events = [];
+  let nowMs = 0;
+
+  for (const block of createLinearChain({ from: 0, to: 3 })) client.setBlock(block);
+  client.setLatestHeight(3);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    pollIntervalMs: 100,
+    expectedBlockTimeMs: 100,
+    stallThresholdBlocks: 10,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+  nowMs += 900;
+  await monitor.tick();
+  assert.ok(!events.some((e) => e.type === 'CHAIN_STALLED'), 'expected no CHAIN_STALLED below the threshold');
+
+  nowMs += 100;
+  await monitor.tick();
+  nowMs += 500;
+  await monitor.tick();
+
+  const stalled = events.filter((e) => e.type === 'CHAIN_STALLED');
+  assert.equal(stalled.length, 1);
+  assert.deepEqual(stalled[0].data, {
+    height: 3,
+    stalled_for_ms: 1000,
+    expected_block_time_ms: 100,
+    threshold_ms: 1000,
+    severity: 'HIGH',
+  });
+
+  client.setBlock(makeBlock({ number: 4, hash: '0xblock4', parentHash: '0xblock3' }));
+  client.setLatestHeight(4);
+  nowMs += 500;
+  await monitor.tick();
+
+  const resumed = events.find((e) => e.type === 'CHAIN_RESUMED');
+  assert.ok(resumed, 'expected CHAIN_RESUMED');
+  assert.equal(resumed.data.stalled_height, 3);
+  assert.equal(resumed.data.resumed_height, 4);
+  assert.equal(resumed.data.stalled_for_ms, 2000);
+});
+
+// 测试链回退后新分支继续出块时不会误报 CHAIN_STALLED
+test('measures stalls from the rewound tip after a CHAIN_REWIND', async () => {
+  const client = new FakeClient();
+  const events = [];
+  let nowMs = 0;
+
+  for (const block of createLinearChain({ from: 0, to: 20 })) client.setBlock(block);
+  client.setLatestHeight(20);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    pollIntervalMs: 1000,
+    expectedBlockTimeMs: 1000,
+    stallThresholdBlocks: 3,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+
+  // Rewind to 11, then a new block every second on the new branch
+  client.setLatestHeight(11);
+  for (let h = 11; h <= 16; h++) {
+    client.setBlock(makeBlock({ number: h, hash: `0xfork${h}`, parentHash: h === 11 ? '0xblock10' : `0xfork${h - 1}` }));
+    client.setLatestHeight(h);
+    nowMs += 1000;
+    await monitor.tick();
+  }
+
+  assert.ok(events.some((e) => e.type === 'CHAIN_REWIND'), 'expected CHAIN_REWIND');
+  assert.ok(!events.some((e) => e.type === 'CHAIN_STALLED'), 'expected no CHAIN_STALLED while the new branch grows');
+
+  nowMs += 3000;
+  await monitor.tick();
+  const stalled = events.find((e) => e.type === 'CHAIN_STALLED');
+  assert.ok(stalled, 'expected CHAIN_STALLED once the new branch stops');
+  assert.equal(stalled.data.height, 16);
+});
+
+// 测试区块时间戳异常：时间倒退、超前本地时钟过多、出块间隔相对滚动基线过长或过短
+test('flags timestamps that go backwards, run ahead of the clock or break the interval baseline', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const genesisTime = 1_700_000_000;
+  const nowMs = (genesisTime + 100) * 1000;
+
+  // 30 blocks, 2 seconds apart, then four odd ones
+  const timestamps = Array.from({ length: 31 }, (_, h) => genesisTime + h * 2);
+  timestamps.push(timestamps[30] + 30); // 31: 30s gap -> LONG
+  timestamps.push(timestamps[31]); // 32: 0s gap -> SHORT
+  timestamps.push(timestamps[32] - 5); // 33: before its parent
+  timestamps.push(genesisTime + 200); // 34: 100s ahead of the local clock
+  for (let h = 0; h < timestamps.length; h++) {
+    client.setBlock(makeBlock({
+      number: h,
+      hash: `0xblock${h}`,
+      parentHash: h === 0 ? '0xblock0' : `0xblock${h - 1}`,
+      timestamp: timestamps[h],
+    }));
+  }
+  client.setLatestHeight(timestamps.length - 1);
+
+  const monitor = createMonitor({
+    client,
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+
+  const anomalies = events.filter((e) => e.type === 'BLOCK_INTERVAL_ANOMALY');
+  assert.deepEqual(anomalies.map((e) => [e.data.height, e.data.kind, e.data.interval_s, e.data.baseline_s]), [
+    [31, 'LONG', 30, 2],
+    [32, 'SHORT', 0, 2],
+    [34, 'LONG', 115, 2],
+  ]);
+
+  const backwards = events.find((e) => e.type === 'TIMESTAMP_WENT_BACKWARDS');
+  assert.ok(backwards, 'expected TIMESTAMP_WENT_BACKWARDS');
+  assert.equal(backwards.data.height, 33);
+  assert.equal(backwards.data.delta_s, -5);
+
+  const future = events.filter((e) => e.type === 'TIMESTAMP_IN_FUTURE');
+  assert.equal(future.length, 1);
+  assert.equal(future[0].data.height, 34);
+  assert.equal(future[0].data.ahead_ms, 100_000);
+});
+
+// 测试严重级别策略：单块重组为 INFO，深度 ≥ 3 为 HIGH，跨过 finalized 为 CRITICAL；只有 HIGH 及以上才发送告警
+test('assigns severities by reorg depth and finality and only alerts from alertMinSeverity up', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const alerts = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, init) => {
+    alerts.push(JSON.parse(init.body).content);
+    return { ok: true };
+  };
+
+  try {
+    for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+    client.setLatestHeight(10);
+    client.setTagHeight('safe', 10);
+    client.setTagHeight('finalized', 5);
+
+    const monitor = createMonitor({
+      client,
+      logJson: (type, data) => events.push({ type, data }),
+      chainMetadataPollMs: 0,
+      alertWebhookUrl: 'https://hooks.example/alert',
+      now: () => 0,
+    });
+
+    await monitor.tick();
+
+    // Depth 1 at the tip
+    client.setBlock(makeBlock({ number: 10, hash: '0xblock10_b', parentHash: '0xblock9' }));
+    await monitor.tick();
+
+    // Depth 3
+    client.setBlock(makeBlock({ number: 8, hash: '0xblock8_c', parentHash: '0xblock7' }));
+    client.setBlock(makeBlock({ number: 9, hash: '0xblock9_c', parentHash: '0xblock8_c' }));
+    client.setBlock(makeBlock({ number: 10, hash: '0xblock10_c', parentHash: '0xblock9_c' }));
+    await monitor.tick();
+
+    const reorgs = events.filter((e) => e.type === 'REORG');
+    assert.deepEqual(reorgs.map((e) => [e.data.depth, e.data.severity]), [[1, 'INFO'], [3, 'HIGH']]);
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0], /\*\*REORG\*\*/);
+    assert.match(alerts[0], /Severity: HIGH/);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+// 测试同一次重组在多个 tick 中只告警一次，静默期过后记录并发送 INCIDENT_RESOLVED 摘要
+test('pages for each fork point within one reorg incident and resolves it after the alert cooldown', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const alerts = [];
+  let nowMs = 0;
+  const alertRouter = createAlertRouter({
+    chain: 'local',
+    channels: { pager: { send: async (type, data) => alerts.push({ type, data }) } },
+    rules: [{ minSeverity: 'HIGH', channels: ['pager'] }],
+  });
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+
+  const monitor = createMonitor({
+    client,
+    chain: { key: 'local' },
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    alertRouter,
+    alertCooldownMs: 60_000,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+
+  // Depth 3, then a depth-4 reorg from an earlier fork point a few seconds later
+  client.setBlock(makeBlock({ number: 8, hash: '0xblock8_b', parentHash: '0xblock7' }));
+  client.setBlock(makeBlock({ number: 9, hash: '0xblock9_b', parentHash: '0xblock8_b' }));
+  client.setBlock(makeBlock({ number: 10, hash: '0xblock10_b', parentHash: '0xblock9_b' }));
+  await monitor.tick();
+
+  nowMs = 5_000;
+  client.setBlock(makeBlock({ number: 7, hash: '0xblock7_c', parentHash: '0xblock6' }));
+  client.setBlock(makeBlock({ number: 8, hash: '0xblock8_c', parentHash: '0xblock7_c' }));
+  client.setBlock(makeBlock({ number: 9, hash: '0xblock9_c', parentHash: '0xblock8_c' }));
+  client.setBlock(makeBlock({ number: 10, hash: '0xblock10_c', parentHash: '0xblock9_c' }));
+  await monitor.tick();
+
+  assert.equal(events.filter((e) => e.type === 'REORG' && e.data.severity === 'HIGH').length, 2);
+  assert.deepEqual(alerts.map((a) => [a.type, a.data.fork_point.height, a.data.incident_id]), [
+    ['REORG', 7, 'local-reorg-0'],
+    ['REORG', 6, 'local-reorg-0'],
+  ]);
+
+  nowMs = 65_000;
+  await monitor.tick();
+
+  const resolved = events.filter((e) => e.type === 'INCIDENT_RESOLVED');
+  assert.equal(resolved.length, 1);
+  assert.equal(resolved[0].data.incident_id, 'local-reorg-0');
+  assert.equal(resolved[0].data.event_counts.REORG, 2);
+  assert.equal(resolved[0].data.notifications, 2);
+  assert.deepEqual(alerts.map((a) => a.type), ['REORG', 'REORG', 'INCIDENT_RESOLVED']);
+});
+
+// 测试告警渠道持续失败时按退避重试，用尽次数后发出 ALERT_DELIVERY_FAILED 并经其它渠道通知
+test('retries a failing alert channel and reports ALERT_DELIVERY_FAILED through the others', async () => {
+  const client = new FakeClient();
+  const events = [];
+  const slack = [];
+  let nowMs = 0;
+  const alertRouter = createAlertRouter({
+    chain: 'local',
+    channels: {
+      telegram: { send: async () => { throw new Error('Telegram responded 502'); } },
+      slack: { send: async (type, data) => slack.push({ type, data }) },
+    },
+    rules: [{ minSeverity: 'HIGH', channels: ['telegram', 'slack'] }],
+  });
+
+  for (const block of createLinearChain({ from: 0, to: 10 })) client.setBlock(block);
+  client.setLatestHeight(10);
+
+  const monitor = createMonitor({
+    client,
+    chain: { key: 'local' },
+    logJson: (type, data) => events.push({ type, data }),
+    chainMetadataPollMs: 0,
+    trackFinality: false,
+    alertRouter,
+    alertMaxAttempts: 2,
+    alertRetryBaseMs: 1000,
+    now: () => nowMs,
+  });
+
+  await monitor.tick();
+  client.setBlock(makeBlock({ number: 8, hash: '0xblock8_b', parentHash: '0xblock7' }));
+  client.setBlock(makeBlock({ number: 9, hash: '0xblock9_b', parentHash: '0xblock8_b' }));
+  client.setBlock(makeBlock({ number: 10, hash: '0xblock10_b', parentHash: '0xblock9_b' }));
+  await monitor.tick();
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const retry = events.find((e) => e.type === 'ALERT_DELIVERY_ERROR');
+  assert.equal(retry.data.channel, 'telegram');
+  assert.equal(retry.data.attempt, 1);
+  assert.equal(retry.data.next_attempt_at, new Date(1000).toISOString());
+
+  nowMs = 1000;
+  await monitor.tick();
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const failed = events.filter((e) => e.type === 'ALERT_DELIVERY_FAILED');
+  assert.equal(failed.length, 1);
+  assert.equal(failed[0].data.alert_type, 'REORG');
+  assert.equal(failed[0].data.channel, 'telegram');
+  assert.equal(failed[0].data.severity, 'HIGH');
+  assert.deepEqual(slack.map((a) => a.type), ['REORG', 'ALERT_DELIVERY_FAILED']);
+  assert.deepEqual(monitor.getState().alertDeliveries, { pending: 0, delivered: 2, failed: 1 });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createQuorumClient } = require('../src/provider_quorum');
+
+function fakeProvider({ chainId = 1, latest, hashes }) {
+  return {
+    async getChainId() {
+      return chainId;
+    },
+    async getBlock(args) {
+      if (args.blockHash !== undefined) {
+        const found = Object.entries(hashes).find(([, hash]) => hash === args.blockHash);
+        if (!found) throw new Error('Block not found');
+        return { number: BigInt(found[0]), hash: args.blockHash, transactions: [] };
+      }
+      const height = args.blockTag === 'latest' ? latest : Number(args.blockNumber);
+      const hash = hashes[height];
+      if (!hash) throw new Error('Block not found');
+      return { number: BigInt(height), hash, transactions: [] };
+    },
+  };
+}
+
+// 测试多数节点一致时返回多数结果，并报告节点分歧
+test('returns the majority block and reports PROVIDER_DIVERGENCE once', async () => {
+  const divergences = [];
+  const client = createQuorumClient({
+    providers: [
+      { name: 'a', client: fakeProvider({ latest: 2, hashes: { 1: '0x1', 2: '0x2' } }) },
+      { name: 'b', client: fakeProvider({ latest: 2, hashes: { 1: '0x1', 2: '0x2' } }) },
+      { name: 'c', client: fakeProvider({ latest: 2, hashes: { 1: '0x1', 2: '0x2_fork' } }) },
+    ],
+  });
+  client.onDivergence((data) => divergences.push(data));
+
+  const block = await client.getBlock({ blockNumber: 2n });
+  await client.getBlock({ blockNumber: 2n });
+
+  assert.equal(block.hash, '0x2');
+  assert.equal(divergences.length, 1);
+  assert.equal(divergences[0].height, 2);
+  assert.deepEqual(divergences[0].votes, { a: '0x2', b: '0x2', c: '0x2_fork' });
+});
+
+// 测试 latest 使用达到法定数量节点的最高高度，落后节点不算分歧
+test('resolves latest to the highest height a quorum has reached', async () => {
+  const divergences = [];
+  const hashes = { 1: '0x1', 2: '0x2', 3: '0x3' };
+  const client = createQuorumClient({
+    providers: [
+      { name: 'a', client: fakeProvider({ latest: 3, hashes }) },
+      { name: 'b', client: fakeProvider({ latest: 2, hashes: { 1: '0x1', 2: '0x2' } }) },
+      { name: 'c', client: fakeProvider({ latest: 1, hashes: { 1: '0x1' } }) },
+    ],
+  });
+  client.onDivergence((data) => divergences.push(data));
+
+  const latest = await client.getBlock({ blockTag: 'latest' });
+  assert.equal(latest.number, 2n);
+  assert.equal(divergences.length, 0);
+});
+
+// 测试无法达成法定数量时抛出错误
+test('throws when no hash reaches the quorum', async () => {
+  const client = createQuorumClient({
+    providers: [
+      { name: 'a', client: fakeProvider({ latest: 1, hashes: { 1: '0x1a' } }) },
+      { name: 'b', client: fakeProvider({ latest: 1, hashes: { 1: '0x1b' } }) },
+    ],
+  });
+
+  await assert.rejects(client.getBlock({ blockNumber: 1n }), /quorum not reached/);
+});
+
+// 测试按哈希获取区块时，只需足够多的节点仍能提供该区块
+test('fetches a block by hash from the providers that still serve it', async () => {
+  const client = createQuorumClient({
+    providers: [
+      { name: 'a', client: fakeProvider({ latest: 1, hashes: { 1: '0x1_orphan' } }) },
+      { name: 'b', client: fakeProvider({ latest: 1, hashes: { 1: '0x1_orphan' } }) },
+      { name: 'c', client: fakeProvider({ latest: 1, hashes: { 1: '0x1' } }) },
+    ],
+  });
+
+  const block = await client.getBlock({ blockHash: '0x1_orphan' });
+  assert.equal(block.number, 1n);
+  await assert.rejects(client.getBlock({ blockHash: '0x1' }), /quorum not reached/);
+});
+
+// 测试交易和日志查询中节点略微落后导致的不一致不报告为 PROVIDER_DIVERGENCE
+test('does not report lagging transaction and log lookups as divergence', async () => {
+  const divergences = [];
+  const log = { transactionHash: '0xtx', logIndex: 0 };
+  const provider = ({ blockHash, logs }) => ({
+    async getTransaction({ hash }) {
+      return { hash, blockHash };
+    },
+    async getLogs() {
+      return logs;
+    },
+  });
+  const client = createQuorumClient({
+    providers: [
+      { name: 'a', client: provider({ blockHash: '0xb1', logs: [log] }) },
+      { name: 'b', client: provider({ blockHash: '0xb1', logs: [log] }) },
+      { name: 'c', client: provider({ blockHash: null, logs: [] }) },
+    ],
+  });
+  client.onDivergence((data) => divergences.push(data));
+
+  assert.equal((await client.getTransaction({ hash: '0xtx' })).blockHash, '0xb1');
+  assert.deepEqual(await client.getLogs({ blockHash: '0xb1' }), [log]);
+  assert.equal(divergences.length, 0);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSeverityPolicy } = require('../src/severity');
+
+// 测试按链覆盖策略，以及跨过 finalized 高度的重组升级为 CRITICAL
+test('applies per-chain overrides and escalates reorgs below the finalized height', () => {
+  const policy = createSeverityPolicy({ events: { LOGS_REORGED: 'WARNING' }, depthLevels: { 1: 'INFO', 5: 'HIGH' } });
+
+  assert.equal(policy.evaluate('REORG', { depth: 4 }), 'INFO');
+  assert.equal(policy.evaluate('REORG', { depth: 5 }), 'HIGH');
+  assert.equal(policy.evaluate('REORG', { depth: 1, crosses_finality: true }), 'CRITICAL');
+  assert.equal(policy.evaluate('CHAIN_REWIND', { from_height: 20, to_height: 10 }), 'HIGH');
+  assert.equal(policy.evaluate('LOGS_REORGED', {}), 'WARNING');
+  assert.equal(policy.evaluate('GENESIS_CHANGED', {}), 'CRITICAL');
+  assert.equal(policy.evaluate('BLOCK_RECEIVED', {}), undefined);
+  assert.throws(() => createSeverityPolicy({ events: { REORG: 'PANIC' } }), /Unknown severity "PANIC"/);
+});
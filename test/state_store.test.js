@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createFileStateStore } = require('../src/state_store');
+
+// 测试文件存储的读写往返
+test('file state store round-trips a snapshot and returns null when empty', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reorg-state-'));
+  try {
+    const store = createFileStateStore(path.join(dir, 'nested', 'local.state.json'));
+    assert.equal(await store.load(), null);
+
+    await store.save({
+      maxObservedHeight: 2,
+      lastProcessedHeight: 2,
+      lastChainId: 1,
+      lastGenesisHash: '0xgenesis',
+      blocks: [[2, { hash: '0xblock2', parentHash: '0xblock1', stateRoot: '0xroot', transactions: ['0xtx'] }]],
+    });
+
+    const snapshot = await store.load();
+    assert.equal(snapshot.lastProcessedHeight, 2);
+    assert.deepEqual(new Map(snapshot.blocks).get(2).transactions, ['0xtx']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// 测试并发保存按调用顺序依次写入，不会互相覆盖临时文件
+test('file state store serializes overlapping saves', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reorg-state-'));
+  try {
+    const store = createFileStateStore(path.join(dir, 'local.state.json'));
+    const blocks = Array.from({ length: 2000 }, (_, h) => [h, { hash: `0xblock${h}`, transactions: [] }]);
+
+    await Promise.all([
+      store.save({ lastProcessedHeight: 1, blocks }),
+      store.save({ lastProcessedHeight: 2, blocks }),
+      store.save({ lastProcessedHeight: 3, blocks: [] }),
+    ]);
+
+    const snapshot = await store.load();
+    assert.equal(snapshot.lastProcessedHeight, 3);
+    assert.deepEqual(snapshot.blocks, []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTickScheduler } = require('../src/tick_scheduler');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 测试慢任务不会并发执行，并在连续超时后报告 TICK_OVERRUN
+test('never overlaps runs and reports consecutive overruns', async () => {
+  let active = 0;
+  let maxActive = 0;
+  let runs = 0;
+  const overruns = [];
+
+  const scheduler = createTickScheduler({
+    run: async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      runs++;
+      await sleep(15);
+      active--;
+    },
+    intervalMs: 5,
+    overrunThreshold: 2,
+    onOverrun: (data) => overruns.push(data),
+  });
+
+  scheduler.start();
+  await sleep(120);
+  scheduler.stop();
+
+  assert.ok(runs >= 2, 'expected several runs');
+  assert.equal(maxActive, 1, 'runs must not overlap');
+  assert.ok(overruns.length >= 1, 'expected an overrun report');
+  assert.equal(overruns[0].interval_ms, 5);
+  assert.equal(overruns[0].consecutive_overruns, 2);
+});
+
+// 测试运行中 stop() 后立即 start() 只会保留一个调度循环，且新循环等上一次运行结束
+test('keeps a single loop when restarted while a run is in progress', async () => {
+  let active = 0;
+  let maxActive = 0;
+  let runs = 0;
+
+  const scheduler = createTickScheduler({
+    run: async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      runs++;
+      await sleep(30);
+      active--;
+    },
+    intervalMs: 10,
+  });
+
+  scheduler.start();
+  await sleep(20); // First run is in progress
+  scheduler.stop();
+  scheduler.start();
+  await sleep(200);
+  scheduler.stop();
+
+  assert.equal(maxActive, 1, 'runs must not overlap');
+  // One loop of 30 ms runs fits about 7 runs in 220 ms; two loops would make about twice that
+  assert.ok(runs >= 4 && runs <= 9, `expected a single loop, got ${runs} runs`);
+});
+
+// 测试自适应模式下超时会放宽间隔，恢复后逐步收回
+test('widens the interval on overruns and restores it when runs fit again', () => {
+  const changes = [];
+  const scheduler = createTickScheduler({
+    run: async () => {},
+    intervalMs: 100,
+    adaptive: true,
+    maxIntervalMs: 300,
+    overrunThreshold: 2,
+    onIntervalChange: (data) => changes.push(data),
+  });
+
+  scheduler.recordDuration(150);
+  scheduler.recordDuration(150);
+  assert.equal(scheduler.getIntervalMs(), 200);
+
+  scheduler.recordDuration(250);
+  scheduler.recordDuration(250);
+  assert.equal(scheduler.getIntervalMs(), 300, 'capped at maxIntervalMs');
+
+  scheduler.recordDuration(10);
+  scheduler.recordDuration(10);
+  assert.equal(scheduler.getIntervalMs(), 150);
+  scheduler.recordDuration(10);
+  scheduler.recordDuration(10);
+  assert.equal(scheduler.getIntervalMs(), 100);
+
+  assert.deepEqual(changes.map((c) => c.reason), ['overrun', 'overrun', 'recovered', 'recovered']);
+});
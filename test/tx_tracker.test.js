@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDroppedTxTracker } = require('../src/tx_tracker');
+
+// 测试跟踪窗口结束时，通过 RPC 查到已上链的交易报告为 TX_REINCLUDED，而不是 TX_LOST
+test('falls back to an RPC lookup once the follow window runs out', async () => {
+  const tracker = createDroppedTxTracker({ followBlocks: 4 });
+  tracker.track('0xmined', { height: 10, blockHash: '0xold10' });
+  tracker.track('0xgone', { height: 10, blockHash: '0xold10' });
+
+  const lookups = [];
+  const update = (currentHeight) => tracker.update({
+    currentHeight,
+    findInclusion: () => null,
+    lookupTransaction: async (hash) => {
+      lookups.push(hash);
+      return hash === '0xmined' ? { status: 'mined', height: 3, hash: '0xfar' } : { status: 'not_found' };
+    },
+  });
+
+  assert.deepEqual(await update(13), []);
+  assert.deepEqual(lookups, []);
+
+  const events = await update(14);
+  assert.deepEqual(events.map(([type, data]) => [type, data.tx_hash]), [
+    ['TX_REINCLUDED', '0xmined'],
+    ['TX_LOST', '0xgone'],
+  ]);
+  assert.equal(events[0][1].height_delta, -7);
+  assert.equal(events[1][1].mempool_status, 'not_found');
+  assert.equal(tracker.size(), 0);
+});
+
+// 测试 RPC 查询失败（unknown）时继续跟踪；仍在交易池中（pending）时只报告一次 TX_PENDING 并继续跟踪
+test('keeps following transactions that are pending or whose lookup failed', async () => {
+  const tracker = createDroppedTxTracker({ followBlocks: 4 });
+  tracker.track('0xpending', { height: 10, blockHash: '0xold10' });
+  tracker.track('0xflaky', { height: 10, blockHash: '0xold10' });
+
+  const statuses = { '0xpending': { status: 'pending' }, '0xflaky': { status: 'unknown' } };
+  const update = (currentHeight) => tracker.update({
+    currentHeight,
+    findInclusion: () => null,
+    lookupTransaction: async (hash) => statuses[hash],
+  });
+
+  const first = await update(14);
+  assert.deepEqual(first.map(([type, data]) => [type, data.tx_hash]), [['TX_PENDING', '0xpending']]);
+  assert.equal(first[0][1].followed_blocks, 4);
+  assert.deepEqual(await update(15), []);
+  assert.equal(tracker.size(), 2);
+
+  statuses['0xpending'] = { status: 'mined', height: 16, hash: '0xnew16' };
+  statuses['0xflaky'] = { status: 'not_found' };
+  const last = await update(16);
+  assert.deepEqual(last.map(([type, data]) => [type, data.tx_hash]), [
+    ['TX_REINCLUDED', '0xpending'],
+    ['TX_LOST', '0xflaky'],
+  ]);
+  assert.equal(tracker.size(), 0);
+});
+
+// 测试快照恢复后继续跟踪
+test('restores tracked transactions from a snapshot', () => {
+  const tracker = createDroppedTxTracker();
+  tracker.track('0xtx', { height: 1, blockHash: '0xold1' });
+
+  const restored = createDroppedTxTracker();
+  restored.restore(structuredClone(tracker.snapshot()));
+  assert.deepEqual(restored.snapshot(), [['0xtx', { droppedAtHeight: 1, oldBlockHash: '0xold1' }]]);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createWatchlist, parseWatchlist } = require('../src/watchlist');
+
+// 测试 WATCH_ADDRESSES 的解析：标签可选，地址匹配不区分大小写
+test('parses labelled addresses and matches them case-insensitively', () => {
+  const entries = parseWatchlist('treasury=0x00000000000000000000000000000000000000AA, 0x00000000000000000000000000000000000000bb');
+  assert.deepEqual(entries, [
+    { address: '0x00000000000000000000000000000000000000AA', label: 'treasury' },
+    { address: '0x00000000000000000000000000000000000000bb', label: null },
+  ]);
+
+  const watchlist = createWatchlist(entries);
+  assert.deepEqual(
+    watchlist.match({ from: '0x00000000000000000000000000000000000000bb', to: '0x00000000000000000000000000000000000000Aa' }),
+    [
+      { address: '0x00000000000000000000000000000000000000bb', label: null, role: 'from' },
+      { address: '0x00000000000000000000000000000000000000aa', label: 'treasury', role: 'to' },
+    ]
+  );
+  assert.throws(() => createWatchlist(['0x1234']), /Invalid watchlist address/);
+});